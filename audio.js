@@ -0,0 +1,259 @@
+/**
+ * AUDIO
+ *
+ * Recordings of each bird's calls and songs, found in its Wikimedia Commons
+ * category (see fetchBirdRecordingsFromCommons). Each card gets a play button
+ * showing how many recordings there are; every press plays the next one, and
+ * the recording's author and license are shown under the button.
+ *
+ * Lookups are cached in localStorage and, like images, only made for cards
+ * that scroll into view. Only one recording plays at a time. Recordings are
+ * streamed from Commons, so they can't be played in offline mode.
+ */
+
+const RECORDINGS_STORAGE_KEY = 'birds.recordings';
+
+// Fewer lookups at once than for images, recordings are a nice-to-have
+const AUDIO_LOADER_CONCURRENCY = 2;
+
+// Shared player, so starting a recording stops the one playing
+const audioPlayer = typeof Audio !== 'undefined' ? new Audio() : null;
+
+// Card whose recording is playing, null when nothing plays
+let playingCard = null;
+
+/**
+ * Reads the cached recordings
+ *
+ * @returns {Object} - { [bird key]: { recordings, fetchedAt } }
+ */
+function loadRecordingsCache() {
+    try {
+        return JSON.parse(localStorage.getItem(RECORDINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading recordings cache:', error);
+        return {};
+    }
+}
+
+/**
+ * Caches the recordings found for a bird
+ *
+ * @param {string} key - Bird key
+ * @param {Array} recordings - Recordings found
+ */
+function putCachedRecordings(key, recordings) {
+    const cache = loadRecordingsCache();
+    cache[key] = { recordings, fetchedAt: Date.now() };
+    localStorage.setItem(RECORDINGS_STORAGE_KEY, JSON.stringify(cache));
+}
+
+/**
+ * URL the browser can play for a recording
+ * Safari can't play Ogg or Wav from Commons, so it gets Commons' MP3 transcode
+ *
+ * @param {Object} recording - { url, ... }
+ * @returns {string}
+ */
+function playableRecordingUrl(recording) {
+    const isOgg = /\.(ogg|oga)$/i.test(recording.url);
+    const isWav = /\.wav$/i.test(recording.url);
+    const canPlay = isOgg ? audioPlayer.canPlayType('audio/ogg')
+        : isWav ? audioPlayer.canPlayType('audio/wav')
+        : 'maybe';
+
+    const match = recording.url.match(/^(https:\/\/upload\.wikimedia\.org\/wikipedia\/commons)\/(.+\/([^/]+))$/);
+    if (canPlay || !match) {
+        return recording.url;
+    }
+    return `${match[1]}/transcoded/${match[2]}/${match[3]}.mp3`;
+}
+
+/**
+ * Adds the play button and credit line to a card, waiting for recordings
+ *
+ * @param {HTMLElement} card - The bird card
+ */
+function addAudioControls(card) {
+    const controls = document.createElement('div');
+    controls.className = 'card-audio';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'audio-button';
+    button.addEventListener('click', () => playNextRecording(card));
+    controls.appendChild(button);
+
+    const credit = document.createElement('div');
+    credit.className = 'audio-credit';
+    controls.appendChild(credit);
+
+    card.appendChild(controls);
+    renderAudioControls(card);
+}
+
+/**
+ * Updates a card's play button and credit line
+ * The button is disabled in offline mode, while recordings are being looked
+ * up and when there are none
+ *
+ * @param {HTMLElement} card - The bird card
+ */
+function renderAudioControls(card) {
+    const button = card.querySelector('.audio-button');
+    const credit = card.querySelector('.audio-credit');
+    const recordings = card._recordings;
+
+    credit.innerHTML = '';
+
+    if (isOfflineMode()) {
+        button.disabled = true;
+        button.textContent = t('audio.offline');
+        button.title = t('audio.offlineHint');
+        return;
+    }
+
+    if (!recordings) {
+        button.disabled = true;
+        button.textContent = '♪ …';
+        button.title = t('audio.looking');
+        return;
+    }
+
+    if (recordings.length === 0) {
+        button.disabled = true;
+        button.textContent = t('audio.none');
+        button.title = t('audio.noneHint');
+        card.classList.add('no-audio');
+        return;
+    }
+
+    card.classList.remove('no-audio');
+    button.disabled = false;
+
+    const index = Number(card.dataset.recordingIndex || 0);
+    const isPlaying = playingCard === card;
+    const count = recordings.length === 1 ? t('audio.countOne') : t('audio.countOther', { count: recordings.length });
+    button.textContent = isPlaying ? t('audio.playing', { number: index + 1, count: recordings.length }) : count;
+    button.title = isPlaying ? t('audio.stop') : t('audio.playNext');
+    button.setAttribute('aria-pressed', String(isPlaying));
+
+    if (!isPlaying) {
+        return;
+    }
+
+    const recording = recordings[index];
+    const attribution = recording.attribution || {};
+    const parts = [recording.title, attribution.artist || attribution.credit, attribution.license].filter(Boolean);
+    const link = document.createElement('a');
+    link.href = recording.link;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = t('audio.credit', { credit: parts.join(' · ') });
+    if (attribution.licenseUrl) {
+        link.title = attribution.licenseUrl;
+    }
+    credit.appendChild(link);
+}
+
+/**
+ * Sets the recordings found for a card
+ *
+ * @param {HTMLElement} card - The bird card
+ * @param {Array} recordings - Recordings, empty if there are none
+ */
+function setCardRecordings(card, recordings) {
+    card._recordings = recordings;
+    card.dataset.recordingIndex = '-1';
+    renderAudioControls(card);
+}
+
+/**
+ * Stops a card's recording, or plays its next one
+ * Starting a recording stops any other card's
+ *
+ * @param {HTMLElement} card - The bird card
+ */
+function playNextRecording(card) {
+    if (playingCard === card) {
+        stopRecording();
+        return;
+    }
+    stopRecording();
+    if (isOfflineMode()) {
+        return;
+    }
+
+    const recordings = card._recordings;
+    const index = (Number(card.dataset.recordingIndex) + 1) % recordings.length;
+    card.dataset.recordingIndex = String(index);
+
+    playingCard = card;
+    audioPlayer.src = playableRecordingUrl(recordings[index]);
+    audioPlayer.play().catch(error => {
+        console.error(`Could not play recording for ${card.dataset.commonName}:`, error);
+        if (playingCard === card) {
+            stopRecording();
+            card.querySelector('.audio-credit').textContent = t('audio.failed');
+        }
+    });
+    renderAudioControls(card);
+}
+
+/**
+ * Stops the recording that is playing, if any
+ */
+function stopRecording() {
+    if (!playingCard) {
+        return;
+    }
+    const card = playingCard;
+    playingCard = null;
+    audioPlayer.pause();
+    renderAudioControls(card);
+}
+
+if (audioPlayer) {
+    audioPlayer.addEventListener('ended', stopRecording);
+}
+
+/**
+ * Shows cached recordings straight away
+ * Offline, no recordings are shown since they would be streamed from Commons
+ *
+ * @param {Array} cards - Bird card elements
+ * @returns {Array} - Cards that still need a lookup
+ */
+function showCachedRecordings(cards) {
+    const cache = loadRecordingsCache();
+    const missing = [];
+
+    for (const card of cards) {
+        const cached = cache[cardBirdKey(card)];
+        if (isOfflineMode()) {
+            setCardRecordings(card, []);
+        } else if (cached && Date.now() - cached.fetchedAt <= IMAGE_CACHE_TTL_MS) {
+            setCardRecordings(card, cached.recordings);
+        } else if (!card.dataset.scientificName) {
+            setCardRecordings(card, []);
+        } else {
+            missing.push(card);
+        }
+    }
+
+    return missing;
+}
+
+/**
+ * Looks up and caches the recordings for one card
+ * Empty results aren't cached, a failed lookup looks the same as no recordings
+ *
+ * @param {HTMLElement} card - The bird card
+ */
+async function loadCardRecordings(card) {
+    const recordings = await fetchBirdRecordingsFromCommons(card.dataset.scientificName);
+    if (recordings.length > 0) {
+        putCachedRecordings(cardBirdKey(card), recordings);
+    }
+    setCardRecordings(card, recordings);
+}
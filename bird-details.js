@@ -0,0 +1,278 @@
+/**
+ * BIRD DETAILS
+ *
+ * Shows the optional details a checklist can give for a bird (see
+ * CHECKLIST_BIRD_FIELDS) on its card: how common it is, whether it lives
+ * there all year, the months it is present, its elevation range and
+ * habitats as badges, and its field marks below them:
+ *
+ *   {"common_name": "Resplendent Quetzal", "scientific_name": "Pharomachrus mocinno",
+ *    "abundance": "uncommon", "residency": "resident", "months": [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+ *    "elevation": [1200, 3000], "habitat": ["cloud forest"],
+ *    "field_marks": "Male has long green tail streamers and a crimson belly"}
+ *
+ * Also holds the filters and sort order for these details in the filter bar.
+ * A bird without "months" is taken to be present all year; a bird without
+ * the detail being filtered on (abundance, residency or habitat) is left out.
+ */
+
+// Ways to order the birds within each category
+const DETAIL_SORT_ORDERS = ['checklist', 'name', 'abundance', 'elevation'];
+
+// Details filters and sort order, read from the URL by createDetailFilters()
+const detailFilters = { abundance: '', residency: '', month: '', habitat: '', sort: 'checklist' };
+
+/**
+ * Short month name in the chosen language
+ *
+ * @param {number} month - 1-12
+ * @returns {string} - e.g. "Dec"
+ */
+function monthName(month) {
+    return new Date(2000, month - 1, 1).toLocaleDateString(currentLanguage, { month: 'short' });
+}
+
+/**
+ * Describes the months a bird is present as ranges, which may run over the
+ * turn of the year
+ *
+ * @param {Array} months - Month numbers, 1-12
+ * @returns {string} - e.g. "Oct–Apr", "Mar, Sep–Oct" or "All year"
+ */
+function formatMonths(months) {
+    const present = new Set(months);
+    if (present.size === 12) {
+        return t('details.allYear');
+    }
+
+    const next = month => month % 12 + 1;
+    const previous = month => (month + 10) % 12 + 1;
+
+    // Each range starts at a month whose previous month is missing
+    const ranges = [];
+    for (let month = 1; month <= 12; month++) {
+        if (!present.has(month) || present.has(previous(month))) {
+            continue;
+        }
+        let end = month;
+        while (present.has(next(end))) {
+            end = next(end);
+        }
+        ranges.push(end === month ? monthName(month) : `${monthName(month)}–${monthName(end)}`);
+    }
+
+    return ranges.join(', ');
+}
+
+/**
+ * Adds a bird's details to its card
+ * The bird is kept on the card for filtering and sorting
+ *
+ * @param {HTMLElement} card - Bird card element
+ * @param {Object} bird - Checklist bird entry
+ */
+function addBirdDetails(card, bird) {
+    card._bird = bird;
+
+    const badges = [];
+    if (bird.abundance) {
+        badges.push({ text: t(`details.abundance.${bird.abundance}`), type: `abundance-${bird.abundance}` });
+    }
+    if (bird.residency) {
+        badges.push({ text: t(`details.residency.${bird.residency}`), type: 'residency' });
+    }
+    if (bird.months && bird.months.length > 0) {
+        badges.push({ text: formatMonths(bird.months), type: 'months' });
+    }
+    if (bird.elevation) {
+        const [lowest, highest] = bird.elevation.map(metres => metres.toLocaleString(currentLanguage));
+        badges.push({ text: t('details.elevation', { lowest, highest }), type: 'elevation' });
+    }
+    for (const habitat of bird.habitat || []) {
+        badges.push({ text: habitat, type: 'habitat' });
+    }
+
+    if (badges.length === 0 && !bird.field_marks) {
+        return;
+    }
+
+    const details = document.createElement('div');
+    details.className = 'bird-details';
+
+    if (badges.length > 0) {
+        const list = document.createElement('div');
+        list.className = 'detail-badges';
+        for (const { text, type } of badges) {
+            const badge = document.createElement('span');
+            badge.className = `detail-badge detail-${type}`;
+            badge.textContent = text;
+            list.appendChild(badge);
+        }
+        details.appendChild(list);
+    }
+
+    if (bird.field_marks) {
+        const marks = document.createElement('p');
+        marks.className = 'field-marks';
+        marks.textContent = bird.field_marks;
+        details.appendChild(marks);
+    }
+
+    card.querySelector('.bird-name').after(details);
+}
+
+/**
+ * Whether a card passes the details filters
+ *
+ * @param {HTMLElement} card - Bird card element
+ * @returns {boolean}
+ */
+function matchesDetailFilters(card) {
+    const bird = card._bird || {};
+
+    if (detailFilters.abundance && bird.abundance !== detailFilters.abundance) {
+        return false;
+    }
+    if (detailFilters.residency && bird.residency !== detailFilters.residency) {
+        return false;
+    }
+    if (detailFilters.month && bird.months && !bird.months.includes(Number(detailFilters.month))) {
+        return false;
+    }
+    if (detailFilters.habitat && !(bird.habitat || []).includes(detailFilters.habitat)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Compares two cards by the chosen sort order; birds without the detail
+ * sorted on come last
+ *
+ * @param {HTMLElement} a - Bird card element
+ * @param {HTMLElement} b - Bird card element
+ * @returns {number} - Negative if a comes first, 0 if the order doesn't decide
+ */
+function compareCardDetails(a, b) {
+    const birdA = a._bird || {};
+    const birdB = b._bird || {};
+    const byValue = (valueA, valueB) => {
+        if (valueA === undefined || valueB === undefined) {
+            return (valueA === undefined) - (valueB === undefined);
+        }
+        return valueA - valueB;
+    };
+
+    switch (detailFilters.sort) {
+        case 'name':
+            return a.querySelector('.bird-name').textContent
+                .localeCompare(b.querySelector('.bird-name').textContent, currentLanguage);
+        case 'abundance': {
+            const rank = bird => bird.abundance ? BIRD_ABUNDANCE_LEVELS.indexOf(bird.abundance) : undefined;
+            return byValue(rank(birdA), rank(birdB));
+        }
+        case 'elevation': {
+            const lowest = bird => bird.elevation ? bird.elevation[0] : undefined;
+            return byValue(lowest(birdA), lowest(birdB));
+        }
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Fills the habitat menu with the habitats of the checklist shown, and hides
+ * the filters for details no bird has
+ * Filters that can't match anything in the checklist are dropped
+ *
+ * @param {Array} birds - Checklist bird entries
+ */
+function renderDetailFilters(birds) {
+    const bar = document.querySelector('.detail-filters');
+    if (!bar) {
+        return;
+    }
+
+    const habitats = [...new Set(birds.flatMap(bird => bird.habitat || []))]
+        .sort((a, b) => a.localeCompare(b, currentLanguage));
+    if (!habitats.includes(detailFilters.habitat)) {
+        detailFilters.habitat = '';
+    }
+
+    const habitatSelect = bar.querySelector('.detail-filter-habitat');
+    habitatSelect.innerHTML = '';
+    habitatSelect.appendChild(new Option(t('details.anyHabitat'), ''));
+    habitats.forEach(habitat => habitatSelect.appendChild(new Option(habitat, habitat)));
+    habitatSelect.value = detailFilters.habitat;
+
+    const has = field => birds.some(bird => bird[field] !== undefined);
+    const shown = { abundance: has('abundance'), residency: has('residency'), month: has('months'), habitat: habitats.length > 0 };
+    for (const [filter, isShown] of Object.entries(shown)) {
+        const select = bar.querySelector(`.detail-filter-${filter}`);
+        select.hidden = !isShown;
+        if (!isShown) {
+            detailFilters[filter] = '';
+            select.value = '';
+        }
+    }
+
+    // Sorting on a detail no bird has would change nothing
+    const sortSelect = bar.querySelector('.detail-filter-sort');
+    for (const field of ['abundance', 'elevation']) {
+        sortSelect.querySelector(`option[value="${field}"]`).hidden = !has(field);
+        if (detailFilters.sort === field && !has(field)) {
+            detailFilters.sort = 'checklist';
+            sortSelect.value = 'checklist';
+        }
+    }
+}
+
+/**
+ * Adds the menus for filtering and sorting by the birds' details, starting
+ * from the URL
+ *
+ * @param {Object} initialState - Filter state from readFilterStateFromUrl()
+ * @returns {HTMLElement} - The bar holding the menus
+ */
+function createDetailFilters(initialState) {
+    for (const field of Object.keys(detailFilters)) {
+        detailFilters[field] = initialState[field];
+    }
+    if (!DETAIL_SORT_ORDERS.includes(detailFilters.sort)) {
+        detailFilters.sort = 'checklist';
+    }
+
+    const bar = document.createElement('div');
+    bar.className = 'detail-filters';
+
+    const addSelect = (field, label, options) => {
+        const select = document.createElement('select');
+        select.className = `detail-filter-${field}`;
+        select.setAttribute('aria-label', label);
+        options.forEach(([value, text]) => select.appendChild(new Option(text, value)));
+        select.value = detailFilters[field];
+        select.addEventListener('change', () => {
+            detailFilters[field] = select.value;
+            applyFilters();
+        });
+        bar.appendChild(select);
+    };
+
+    addSelect('abundance', t('details.abundanceLabel'), [
+        ['', t('details.anyAbundance')],
+        ...BIRD_ABUNDANCE_LEVELS.map(level => [level, t(`details.abundance.${level}`)])
+    ]);
+    addSelect('residency', t('details.residencyLabel'), [
+        ['', t('details.anyResidency')],
+        ...BIRD_RESIDENCY_TYPES.map(type => [type, t(`details.residency.${type}`)])
+    ]);
+    addSelect('month', t('details.monthLabel'), [
+        ['', t('details.anyMonth')],
+        ...Array.from({ length: 12 }, (_, index) => [String(index + 1), t('details.presentIn', { month: monthName(index + 1) })])
+    ]);
+    addSelect('habitat', t('details.habitatLabel'), [['', t('details.anyHabitat')]]);
+    addSelect('sort', t('details.sortLabel'),
+        DETAIL_SORT_ORDERS.map(order => [order, t(`details.sort.${order}`)]));
+
+    return bar;
+}
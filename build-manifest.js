@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * IMAGE MANIFEST BUILDER
+ *
+ * Looks up the images for every bird of a checklist with the gallery's own
+ * image providers (image-providers.js) and writes them to a manifest next to
+ * the checklist (see image-manifest.js), so the gallery can skip the lookups.
+ *
+ * Usage:
+ *   node build-manifest.js birds_of_costa_rica.json [--download images/manifest/] [--config config.js]
+ *
+ *   --download  Also saves the card-sized images into this folder and points
+ *               the manifest at the copies, so the gallery needs no image server
+ *   --config    Settings file whose image providers take precedence over the
+ *               checklist's, as in the browser (config.js next to the checklist
+ *               is used when there is one)
+ *
+ * Needs Node 18 or later, for fetch().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// checklist.js reports problems through t(), which is a global in the browser
+global.t = require('./i18n.js').t;
+
+const { validateChecklist, checklistBirdKey } = require('./checklist.js');
+const {
+    LOCAL_IMAGES_BASE_URL,
+    registerImageProvider,
+    configureImageProviders,
+    fetchBirdImagesWithFallback,
+    fetchBirdImagesFromLocalFolder
+} = require('./image-providers.js');
+const { imageManifestFileName } = require('./image-manifest.js');
+
+// Wikimedia asks scripts to identify themselves: https://meta.wikimedia.org/wiki/User-Agent_policy
+const MANIFEST_USER_AGENT = 'BirdsOfCostaRicaGallery/1.0 (image manifest builder)';
+
+const USAGE = 'Usage: node build-manifest.js <checklist.json> [--download <folder>] [--config <config.js>]';
+
+/**
+ * Reads the command line
+ *
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { checklistFile, downloadFolder, configFile }, null if they don't make sense
+ */
+function parseArguments(args) {
+    const options = { checklistFile: null, downloadFolder: null, configFile: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--download' && args[i + 1]) {
+            options.downloadFolder = args[++i];
+        } else if (args[i] === '--config' && args[i + 1]) {
+            options.configFile = args[++i];
+        } else if (!args[i].startsWith('--') && !options.checklistFile) {
+            options.checklistFile = args[i];
+        } else {
+            return null;
+        }
+    }
+
+    return options.checklistFile ? options : null;
+}
+
+/**
+ * Reads the image providers from a settings file like config.js
+ * The file sets window.BIRD_GRID_CONFIG, so it is run with a stand-in window
+ *
+ * @param {string} configFile - Path to the settings file
+ * @returns {Array|null} - Its image_providers list, null if it has none
+ */
+function readConfigProviders(configFile) {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(configFile, 'utf8'), sandbox, { filename: configFile });
+
+    const config = sandbox.window.BIRD_GRID_CONFIG;
+    return config && Array.isArray(config.image_providers) ? config.image_providers : null;
+}
+
+/**
+ * Replaces the "local" provider with one that reads the folders from disk,
+ * since there is no web server to list them. Folders given as a full URL are
+ * still read from that server's directory listing.
+ * The image URLs are the same ones the browser would find
+ *
+ * @param {string} siteFolder - Folder the gallery is served from
+ */
+function registerLocalFolderProvider(siteFolder) {
+    registerImageProvider('local', options => ({
+        name: 'local',
+        fetchImages: async bird => {
+            const baseUrl = (options.base_url || LOCAL_IMAGES_BASE_URL).replace(/\/?$/, '/');
+            if (!bird.scientificName) {
+                return [];
+            }
+            if (/^https?:\/\//.test(baseUrl)) {
+                return fetchBirdImagesFromLocalFolder(bird.scientificName, baseUrl);
+            }
+
+            const folderName = bird.scientificName.replace(/ /g, '_');
+            const folder = path.join(siteFolder, baseUrl, folderName);
+            if (!fs.existsSync(folder)) {
+                return [];
+            }
+
+            return fs.readdirSync(folder)
+                .filter(fileName => /\.(jpe?g|png)$/i.test(fileName))
+                .sort()
+                .map(fileName => {
+                    const url = `${baseUrl}${encodeURIComponent(folderName)}/${encodeURIComponent(fileName)}`;
+                    return { url, link: url };
+                });
+        }
+    }));
+}
+
+/**
+ * Saves a bird's images into the download folder and points them at the copies
+ * The remote URL is kept as sourceUrl; images that fail to download keep it as url
+ *
+ * @param {Array} images - Image information objects
+ * @param {string} folder - Folder for this bird's images
+ * @param {string} siteFolder - Folder the gallery is served from, URLs are relative to it
+ * @returns {Promise<Array>} - The images, with url pointing at the copies
+ */
+async function downloadImages(images, folder, siteFolder) {
+    return Promise.all(images.map(async (image, index) => {
+        if (!/^https?:\/\//.test(image.url)) {
+            return image; // Already a local file
+        }
+
+        try {
+            const response = await fetch(image.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const fileName = `${index + 1}-${decodeURIComponent(path.basename(new URL(image.url).pathname))}`;
+            const file = path.join(folder, fileName);
+            fs.mkdirSync(folder, { recursive: true });
+            fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+
+            const url = path.relative(siteFolder, file).split(path.sep).map(encodeURIComponent).join('/');
+            return { ...image, url, sourceUrl: image.url };
+        } catch (error) {
+            console.error(`Could not download ${image.url}: ${error.message}`);
+            return image;
+        }
+    }));
+}
+
+/**
+ * Builds the manifest for a checklist and writes it next to the checklist
+ *
+ * @param {Object} options - From parseArguments()
+ * @returns {Promise<number>} - Exit code
+ */
+async function buildManifest(options) {
+    const checklistFile = path.resolve(options.checklistFile);
+    const siteFolder = path.dirname(checklistFile);
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(checklistFile, 'utf8'));
+    } catch (error) {
+        console.error(t('checklist.loadFailed', { file: options.checklistFile, error: error.message }));
+        return 1;
+    }
+
+    const { checklist, issues } = validateChecklist(data, path.basename(checklistFile));
+    issues.forEach(issue => console.error(`${issue.severity}: ${issue.message}`));
+    if (!checklist) {
+        return 1;
+    }
+
+    // Settings take precedence over the checklist, as in the browser
+    const configFile = options.configFile || path.join(siteFolder, 'config.js');
+    const configProviders = fs.existsSync(configFile) ? readConfigProviders(configFile) : null;
+    const providerConfig = configProviders || checklist.image_providers;
+    registerLocalFolderProvider(siteFolder);
+    const providerSignature = configureImageProviders(providerConfig);
+
+    // Each bird once, as the gallery shows them
+    const birds = [];
+    const seen = new Set();
+    for (const category of checklist.categories) {
+        for (const bird of category.birds) {
+            const key = checklistBirdKey(bird);
+            if (!seen.has(key)) {
+                seen.add(key);
+                birds.push(bird);
+            }
+        }
+    }
+
+    const manifest = {
+        generated_at: new Date().toISOString(),
+        image_providers: JSON.parse(providerSignature), // The provider config in use
+        birds: {}
+    };
+    const missing = [];
+
+    for (const [index, bird] of birds.entries()) {
+        const key = checklistBirdKey(bird);
+        let images = await fetchBirdImagesWithFallback(bird.common_name, bird.scientific_name);
+
+        if (images.length > 0 && options.downloadFolder) {
+            const folder = path.resolve(options.downloadFolder, (bird.scientific_name || bird.common_name).replace(/ /g, '_'));
+            images = await downloadImages(images, folder, siteFolder);
+        }
+
+        console.log(`[${index + 1}/${birds.length}] ${bird.common_name}: ${images.length} image(s)${images.length > 0 ? ` from ${images[0].source}` : ''}`);
+
+        // Birds left out are looked up live in the gallery
+        if (images.length === 0) {
+            missing.push(bird.common_name);
+            continue;
+        }
+
+        manifest.birds[key] = {
+            common_name: bird.common_name,
+            scientific_name: bird.scientific_name,
+            images
+        };
+    }
+
+    const manifestFile = path.join(siteFolder, imageManifestFileName(path.basename(checklistFile)));
+    fs.writeFileSync(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    console.log(`Wrote ${path.relative(process.cwd(), manifestFile)}: ${birds.length - missing.length} of ${birds.length} birds`);
+    if (missing.length > 0) {
+        console.log(`No images found for: ${missing.join(', ')}`);
+    }
+    return 0;
+}
+
+const options = parseArguments(process.argv.slice(2));
+if (!options) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+// Every lookup goes through fetch(), so this covers the shared provider code too
+const nodeFetch = global.fetch;
+global.fetch = (url, init = {}) =>
+    nodeFetch(url, { ...init, headers: { 'User-Agent': MANIFEST_USER_AGENT, ...init.headers } });
+
+buildManifest(options).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,449 @@
+/**
+ * CHECKLIST EDITOR
+ *
+ * Edits the checklist shown in the gallery: title, description, categories
+ * and birds can be added, renamed, reordered and removed. A new bird's
+ * scientific name is looked up on Wikidata from its common name.
+ *
+ * Edits are kept as a draft in localStorage, in the same JSON format as the
+ * checklist files, and the gallery shows the draft instead of the files until
+ * it is discarded. "Export JSON" downloads the draft as a checklist file.
+ */
+
+const CHECKLIST_DRAFT_STORAGE_KEY = 'birds.checklistDraft';
+
+// The checklist being edited ({ title, description, categories: [{ name, birds }] }), null while closed
+let editorChecklist = null;
+
+/**
+ * Reads the draft for the given checklist files
+ *
+ * @param {Array} files - Checklist file names the draft was made from
+ * @returns {Object|null} - Checklist JSON, or null if there is no draft for these files
+ */
+function loadChecklistDraft(files) {
+    try {
+        const draft = JSON.parse(localStorage.getItem(CHECKLIST_DRAFT_STORAGE_KEY));
+        return draft && draft.files.join(',') === files.join(',') ? draft.data : null;
+    } catch (error) {
+        console.error('Error reading checklist draft:', error);
+        return null;
+    }
+}
+
+/**
+ * Saves a checklist as the draft for the current files
+ * Also used outside the editor, e.g. to save look-alikes from the comparison view
+ *
+ * @param {Object} checklist - The checklist, the one being edited by default
+ */
+function saveChecklistDraft(checklist = editorChecklist) {
+    localStorage.setItem(CHECKLIST_DRAFT_STORAGE_KEY, JSON.stringify({
+        files: checklistFilesFromUrl(),
+        data: checklistToJson(checklist),
+        savedAt: new Date().toISOString()
+    }));
+    if (checklist === editorChecklist) {
+        setEditorStatus(t('editor.draftSaved'));
+    }
+}
+
+/**
+ * Throws away the draft so the gallery shows the checklist files again
+ */
+function discardChecklistDraft() {
+    localStorage.removeItem(CHECKLIST_DRAFT_STORAGE_KEY);
+}
+
+/**
+ * Tells the user the gallery is showing unsaved edits
+ *
+ * @param {HTMLElement} container - The gallery container
+ */
+function showChecklistDraftNotice(container) {
+    const notice = document.createElement('div');
+    notice.className = 'checklist-draft-notice';
+    notice.textContent = t('editor.draftNotice');
+
+    const discard = document.createElement('button');
+    discard.type = 'button';
+    discard.textContent = t('editor.discard');
+    discard.addEventListener('click', () => {
+        if (confirm(t('editor.confirmDiscard'))) {
+            discardChecklistDraft();
+            loadBirds();
+        }
+    });
+    notice.appendChild(discard);
+
+    container.appendChild(notice);
+}
+
+/**
+ * Shows a short message in the editor's status line
+ *
+ * @param {string} message
+ */
+function setEditorStatus(message) {
+    getChecklistEditorElement().querySelector('.editor-status').textContent = message;
+}
+
+/**
+ * Why a category name can't be used, if it can't
+ *
+ * @param {string} name - Proposed category name
+ * @param {Object} category - The category being renamed, null for a new one
+ * @returns {string|null} - The problem, or null if the name is fine
+ */
+function categoryNameProblem(name, category) {
+    if (!name) {
+        return t('editor.categoryNameMissing');
+    }
+    if (CHECKLIST_SETTINGS_FIELDS[name]) {
+        return t('editor.categoryNameReserved', { name });
+    }
+    if (editorChecklist.categories.some(other => other !== category && other.name === name)) {
+        return t('editor.categoryNameTaken', { name });
+    }
+    return null;
+}
+
+/**
+ * Moves an item one place up or down in an array
+ *
+ * @param {Array} items
+ * @param {number} index - Position of the item to move
+ * @param {number} direction - -1 for up, 1 for down
+ */
+function moveItem(items, index, direction) {
+    const target = index + direction;
+    if (target >= 0 && target < items.length) {
+        [items[index], items[target]] = [items[target], items[index]];
+    }
+}
+
+/**
+ * Looks up and fills in a new bird's scientific name
+ * The name is only filled in if it is still empty when the lookup returns
+ *
+ * @param {Object} bird - Bird entry being edited
+ */
+async function fillScientificName(bird) {
+    if (isOfflineMode()) {
+        setEditorStatus(t('editor.addedOffline', { name: bird.common_name }));
+        return;
+    }
+
+    setEditorStatus(t('editor.lookingUp', { name: bird.common_name }));
+    let scientificName = null;
+    try {
+        scientificName = await lookupScientificName(bird.common_name);
+    } catch (error) {
+        console.error(`Error looking up ${bird.common_name}:`, error);
+    }
+
+    if (!editorChecklist || bird.scientific_name) {
+        return;
+    }
+
+    if (scientificName) {
+        bird.scientific_name = scientificName;
+        saveChecklistDraft();
+        renderChecklistEditor();
+        setEditorStatus(t('editor.added', { name: bird.common_name, scientificName }));
+    } else {
+        setEditorStatus(t('editor.notFound', { name: bird.common_name }));
+    }
+}
+
+/**
+ * Builds a small button for the editor
+ *
+ * @param {string} text - Button text
+ * @param {string} label - Accessible label
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function editorButton(text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Wraps a change to the checklist structure so it is saved and re-rendered
+ *
+ * @param {Function} change - Changes editorChecklist
+ * @returns {Function} - Click handler
+ */
+function editorChange(change) {
+    return () => {
+        change();
+        saveChecklistDraft();
+        renderChecklistEditor();
+    };
+}
+
+/**
+ * Builds the row for one bird
+ *
+ * @param {Object} category - The bird's category
+ * @param {number} index - Position of the bird in the category
+ * @returns {HTMLElement}
+ */
+function renderEditorBird(category, index) {
+    const bird = category.birds[index];
+    const row = document.createElement('li');
+    row.className = 'editor-bird';
+
+    const addInput = (field, placeholder) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholder;
+        input.value = bird[field] || '';
+        input.addEventListener('change', () => {
+            const value = input.value.trim();
+            if (field === 'common_name' && !value) {
+                input.value = bird.common_name;
+                setEditorStatus(t('editor.commonNameMissing'));
+                return;
+            }
+            if (value) {
+                bird[field] = value;
+            } else {
+                delete bird[field];
+            }
+            saveChecklistDraft();
+        });
+        row.appendChild(input);
+    };
+
+    addInput('common_name', t('editor.commonName'));
+    addInput('scientific_name', t('editor.scientificName'));
+
+    row.appendChild(editorButton('↑', t('editor.moveUp', { name: bird.common_name }),
+        editorChange(() => moveItem(category.birds, index, -1))));
+    row.appendChild(editorButton('↓', t('editor.moveDown', { name: bird.common_name }),
+        editorChange(() => moveItem(category.birds, index, 1))));
+    row.appendChild(editorButton('×', t('editor.remove', { name: bird.common_name }),
+        editorChange(() => category.birds.splice(index, 1))));
+
+    return row;
+}
+
+/**
+ * Builds the section for one category: its name, its birds and a form to add a bird
+ *
+ * @param {number} index - Position of the category
+ * @returns {HTMLElement}
+ */
+function renderEditorCategory(index) {
+    const category = editorChecklist.categories[index];
+    const section = document.createElement('section');
+    section.className = 'editor-category';
+
+    const header = document.createElement('div');
+    header.className = 'editor-category-header';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = category.name;
+    name.setAttribute('aria-label', t('editor.categoryName'));
+    name.addEventListener('change', () => {
+        const value = name.value.trim();
+        const problem = categoryNameProblem(value, category);
+        if (problem) {
+            name.value = category.name;
+            setEditorStatus(problem);
+            return;
+        }
+        category.name = value;
+        saveChecklistDraft();
+    });
+    header.appendChild(name);
+
+    header.appendChild(editorButton('↑', t('editor.moveUp', { name: category.name }),
+        editorChange(() => moveItem(editorChecklist.categories, index, -1))));
+    header.appendChild(editorButton('↓', t('editor.moveDown', { name: category.name }),
+        editorChange(() => moveItem(editorChecklist.categories, index, 1))));
+    header.appendChild(editorButton(t('editor.removeCategory'), t('editor.remove', { name: category.name }), () => {
+        if (category.birds.length === 0 || confirm(t('editor.confirmRemoveCategory', { name: category.name, count: category.birds.length }))) {
+            editorChange(() => editorChecklist.categories.splice(index, 1))();
+        }
+    }));
+    section.appendChild(header);
+
+    const list = document.createElement('ol');
+    category.birds.forEach((bird, birdIndex) => list.appendChild(renderEditorBird(category, birdIndex)));
+    section.appendChild(list);
+
+    const addForm = document.createElement('form');
+    addForm.className = 'editor-add-bird';
+    const commonName = document.createElement('input');
+    commonName.type = 'text';
+    commonName.placeholder = t('editor.birdToAdd');
+    addForm.appendChild(commonName);
+    const addButton = document.createElement('button');
+    addButton.type = 'submit';
+    addButton.textContent = t('editor.addBird');
+    addForm.appendChild(addButton);
+
+    addForm.addEventListener('submit', event => {
+        event.preventDefault();
+        const value = commonName.value.trim();
+        if (!value) {
+            return;
+        }
+
+        const existing = allChecklistBirds(editorChecklist)
+            .find(bird => normalizeSearchText(bird.common_name) === normalizeSearchText(value));
+        if (existing) {
+            setEditorStatus(t('editor.alreadyListed', { name: existing.common_name }));
+            return;
+        }
+
+        const bird = { common_name: value };
+        category.birds.push(bird);
+        saveChecklistDraft();
+        renderChecklistEditor();
+        fillScientificName(bird);
+    });
+    section.appendChild(addForm);
+
+    return section;
+}
+
+/**
+ * Renders the title, description and categories of the checklist being edited
+ */
+function renderChecklistEditor() {
+    const editor = getChecklistEditorElement();
+
+    editor.querySelector('.editor-title').value = editorChecklist.title || '';
+    editor.querySelector('.editor-description').value = editorChecklist.description || '';
+
+    const categories = editor.querySelector('.editor-categories');
+    categories.innerHTML = '';
+    editorChecklist.categories.forEach((category, index) => {
+        categories.appendChild(renderEditorCategory(index));
+    });
+}
+
+/**
+ * Builds the editor panel (once)
+ *
+ * @returns {HTMLElement} - The editor element
+ */
+function getChecklistEditorElement() {
+    let editor = document.querySelector('.checklist-editor');
+    if (editor) {
+        return editor;
+    }
+
+    editor = document.createElement('div');
+    editor.className = 'checklist-editor';
+    editor.hidden = true;
+    editor.setAttribute('role', 'dialog');
+    editor.setAttribute('aria-modal', 'true');
+    editor.innerHTML = `
+        <button type="button" class="editor-close" aria-label="${t('editor.close')}">×</button>
+        <h2>${t('editor.heading')}</h2>
+        <label>${t('editor.title')} <input type="text" class="editor-title"></label>
+        <label>${t('editor.description')} <textarea class="editor-description" rows="3"></textarea></label>
+        <div class="editor-categories"></div>
+        <form class="editor-add-category">
+            <input type="text" placeholder="${t('editor.newCategory')}">
+            <button type="submit">${t('editor.addCategory')}</button>
+        </form>
+        <div class="editor-actions">
+            <button type="button" class="editor-export">${t('editor.export')}</button>
+            <button type="button" class="editor-discard">${t('editor.discard')}</button>
+            <button type="button" class="editor-done">${t('editor.done')}</button>
+        </div>
+        <p class="editor-status" aria-live="polite"></p>`;
+
+    const updateSetting = (selector, key) => {
+        editor.querySelector(selector).addEventListener('change', event => {
+            const value = event.target.value.trim();
+            if (value) {
+                editorChecklist[key] = value;
+            } else {
+                delete editorChecklist[key];
+            }
+            saveChecklistDraft();
+        });
+    };
+    updateSetting('.editor-title', 'title');
+    updateSetting('.editor-description', 'description');
+
+    editor.querySelector('.editor-add-category').addEventListener('submit', event => {
+        event.preventDefault();
+        const input = event.target.querySelector('input');
+        const name = input.value.trim();
+        const problem = categoryNameProblem(name, null);
+        if (problem) {
+            setEditorStatus(problem);
+            return;
+        }
+        editorChecklist.categories.push({ name, birds: [] });
+        input.value = '';
+        saveChecklistDraft();
+        renderChecklistEditor();
+    });
+
+    editor.querySelector('.editor-export').addEventListener('click', () => {
+        const files = checklistFilesFromUrl();
+        const fileName = files.length === 1 ? files[0] : 'checklist.json';
+        const json = JSON.stringify(checklistToJson(editorChecklist), null, 2);
+        downloadTextFile(fileName, `${json}\n`, 'application/json');
+    });
+
+    editor.querySelector('.editor-discard').addEventListener('click', () => {
+        if (confirm(t('editor.confirmDiscard'))) {
+            discardChecklistDraft();
+            closeChecklistEditor();
+        }
+    });
+
+    editor.querySelector('.editor-close').addEventListener('click', closeChecklistEditor);
+    editor.querySelector('.editor-done').addEventListener('click', closeChecklistEditor);
+
+    document.body.appendChild(editor);
+    return editor;
+}
+
+/**
+ * Opens the editor on the checklist shown in the gallery (which is the draft, if there is one)
+ */
+function openChecklistEditor() {
+    if (!currentChecklist) {
+        return;
+    }
+
+    editorChecklist = JSON.parse(JSON.stringify(currentChecklist));
+
+    const editor = getChecklistEditorElement();
+    renderChecklistEditor();
+    setEditorStatus('');
+    editor.hidden = false;
+    document.body.classList.add('editor-open');
+}
+
+/**
+ * Closes the editor and reloads the gallery with the edits
+ */
+function closeChecklistEditor() {
+    // Apply a change still pending in a focused field
+    if (document.activeElement && getChecklistEditorElement().contains(document.activeElement)) {
+        document.activeElement.blur();
+    }
+
+    editorChecklist = null;
+    getChecklistEditorElement().hidden = true;
+    document.body.classList.remove('editor-open');
+    loadBirds();
+}
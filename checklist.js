@@ -0,0 +1,450 @@
+/**
+ * CHECKLISTS
+ *
+ * Loads, validates and merges checklist files. A checklist is a JSON object
+ * with optional settings (title, description, ...) and one key per category,
+ * each holding an array of birds:
+ *
+ *   {
+ *     "title": "Birds of Uvita",
+ *     "country": "CR",
+ *     "confusion_pairs": [["Snowy Egret", "Little Blue Heron"]],
+ *     "Marine and Coastal Birds": [
+ *       {"common_name": "Brown Pelican", "scientific_name": "Pelecanus occidentalis"}
+ *     ]
+ *   }
+ *
+ * Birds may also say how common they are, when and where they can be found,
+ * and how to tell them apart (see CHECKLIST_BIRD_FIELDS and bird-details.js).
+ *
+ * Problems are reported per entry instead of breaking the page: birds with
+ * invalid names are skipped and invalid details are left out, the rest of the
+ * checklist still loads.
+ */
+
+const DEFAULT_CHECKLIST_FILE = 'birds_of_costa_rica.json';
+
+// Lists the checklists offered in the selector
+const CHECKLIST_INDEX_FILE = 'checklists.json';
+
+// Top-level checklist keys that hold settings rather than a category of birds
+const CHECKLIST_SETTINGS_FIELDS = {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    country: { type: 'string', check: countryCodeProblem },     // ISO 3166 code, for the eBird export
+    image_providers: { type: 'array' },
+    confusion_pairs: { type: 'array', check: confusionPairsProblem }
+};
+
+// Birds in one group of look-alikes (see compare.js)
+const CONFUSION_GROUP_MIN_SIZE = 2;
+const CONFUSION_GROUP_MAX_SIZE = 4;
+
+// Values allowed for a bird's "abundance", most common first, and "residency"
+const BIRD_ABUNDANCE_LEVELS = ['common', 'uncommon', 'rare'];
+const BIRD_RESIDENCY_TYPES = ['resident', 'migrant', 'visitor'];
+
+// Fields a bird entry may have
+// A problem with a name skips the bird; a problem with a detail only drops that field
+const CHECKLIST_BIRD_FIELDS = {
+    common_name: { type: 'string', required: true },
+    scientific_name: { type: 'string' },
+    abundance: { type: 'string', detail: true, check: choiceProblem(BIRD_ABUNDANCE_LEVELS) },
+    residency: { type: 'string', detail: true, check: choiceProblem(BIRD_RESIDENCY_TYPES) },
+    months: { type: 'array', detail: true, check: monthsProblem },            // Months present, 1-12
+    elevation: { type: 'array', detail: true, check: elevationProblem },      // [lowest, highest] in metres
+    habitat: { type: 'array', detail: true, check: stringListProblem },
+    field_marks: { type: 'string', detail: true }
+};
+
+/**
+ * Describes the JSON type of a value for error messages
+ *
+ * @param {*} value - Any parsed JSON value
+ * @returns {string} - 'array', 'null', 'string', 'number', 'object' or 'boolean'
+ */
+function jsonTypeOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Names a type with its article, in the current language
+ *
+ * @param {string} type - Type name from jsonTypeOf()
+ * @returns {string} - e.g. "an array"
+ */
+function withArticle(type) {
+    return t(`checklist.type.${type}`);
+}
+
+/**
+ * Makes a check for a field that must be one of a few values
+ *
+ * @param {Array} choices - Allowed values
+ * @returns {Function} - Check for a field definition
+ */
+function choiceProblem(choices) {
+    return value => choices.includes(value) ? null : t('checklist.notOneOf', { choices: choices.join(', ') });
+}
+
+/**
+ * Checks a list of month numbers
+ *
+ * @param {Array} months - The field's value
+ * @returns {string|null} - What is wrong with it, or null if it is fine
+ */
+function monthsProblem(months) {
+    return months.every(month => Number.isInteger(month) && month >= 1 && month <= 12)
+        ? null
+        : t('checklist.months');
+}
+
+/**
+ * Checks an elevation range
+ *
+ * @param {Array} range - The field's value, [lowest, highest]
+ * @returns {string|null} - What is wrong with it, or null if it is fine
+ */
+function elevationProblem(range) {
+    return range.length === 2 && range.every(Number.isFinite) && range[0] <= range[1]
+        ? null
+        : t('checklist.elevation');
+}
+
+/**
+ * Checks a list of short texts
+ *
+ * @param {Array} list - The field's value
+ * @returns {string|null} - What is wrong with it, or null if it is fine
+ */
+function stringListProblem(list) {
+    return list.every(item => typeof item === 'string' && item.trim() !== '')
+        ? null
+        : t('checklist.stringList');
+}
+
+/**
+ * Checks the "country" setting, a two-letter ISO 3166 code such as "CR"
+ *
+ * @param {string} code - The setting's value
+ * @returns {string|null} - What is wrong with it, or null if it is fine
+ */
+function countryCodeProblem(code) {
+    return /^[A-Z]{2}$/.test(code) ? null : t('checklist.countryCode');
+}
+
+/**
+ * Checks the "confusion_pairs" setting: a list of groups of look-alike birds,
+ * each a list of 2 to 4 common or scientific names
+ *
+ * @param {Array} groups - The setting's value
+ * @returns {string|null} - What is wrong with it, or null if it is fine
+ */
+function confusionPairsProblem(groups) {
+    const isGroup = group => Array.isArray(group) &&
+        group.length >= CONFUSION_GROUP_MIN_SIZE &&
+        group.length <= CONFUSION_GROUP_MAX_SIZE &&
+        group.every(name => typeof name === 'string' && name.trim() !== '');
+
+    return groups.every(isGroup)
+        ? null
+        : t('checklist.confusionPairs', { min: CONFUSION_GROUP_MIN_SIZE, max: CONFUSION_GROUP_MAX_SIZE });
+}
+
+/**
+ * Checks one value against a field definition
+ *
+ * @param {*} value - The value to check
+ * @param {Object} field - Field definition, e.g. { type: 'string', required: true },
+ *                         optionally with a check(value) for anything more specific
+ * @returns {string|null} - What is wrong with the value, or null if it is fine
+ */
+function checkChecklistField(value, field) {
+    if (value === undefined) {
+        return field.required ? t('checklist.missing') : null;
+    }
+    if (jsonTypeOf(value) !== field.type) {
+        return t('checklist.wrongType', { expected: withArticle(field.type), actual: withArticle(jsonTypeOf(value)) });
+    }
+    if (field.type === 'string' && field.required && value.trim() === '') {
+        return t('checklist.empty');
+    }
+    return field.check ? field.check(value) : null;
+}
+
+/**
+ * Validates a parsed checklist and turns it into the form the gallery uses
+ * Birds with errors are left out; unknown fields only produce a warning
+ *
+ * @param {*} data - Parsed checklist JSON
+ * @param {string} source - File name, used in messages
+ * @returns {Object} - { checklist, issues }, where checklist is
+ *                     { title, description, image_providers, confusion_pairs, categories: [{ name, birds }] }
+ *                     (null if unusable) and issues is [{ severity, message }]
+ */
+function validateChecklist(data, source) {
+    const issues = [];
+    const report = (severity, where, message) =>
+        issues.push({ severity, message: `${[source, ...where].join(' › ')}: ${message}` });
+
+    if (jsonTypeOf(data) !== 'object') {
+        report('error', [], t('checklist.notObject', { type: withArticle(jsonTypeOf(data)) }));
+        return { checklist: null, issues };
+    }
+
+    const checklist = { categories: [] };
+
+    for (const [key, value] of Object.entries(data)) {
+        // Settings
+        if (CHECKLIST_SETTINGS_FIELDS[key]) {
+            const problem = checkChecklistField(value, CHECKLIST_SETTINGS_FIELDS[key]);
+            if (problem) {
+                report('error', [], t('checklist.fieldProblem', { field: key, problem }));
+            } else {
+                checklist[key] = value;
+            }
+            continue;
+        }
+
+        // Everything else is a category
+        if (!Array.isArray(value)) {
+            report('error', [key], t('checklist.notCategory', { type: withArticle(jsonTypeOf(value)) }));
+            continue;
+        }
+
+        const birds = [];
+        value.forEach((entry, index) => {
+            const where = [key, t('checklist.entry', { number: index + 1 })];
+
+            if (jsonTypeOf(entry) !== 'object') {
+                report('error', where, t('checklist.notBird', { type: withArticle(jsonTypeOf(entry)) }));
+                return;
+            }
+
+            // Name the bird in messages when possible, positions are hard to find in a long list
+            if (typeof entry.common_name === 'string' && entry.common_name.trim()) {
+                where[1] += ` (${entry.common_name})`;
+            }
+
+            let valid = true;
+            const bird = { ...entry };
+            for (const [field, definition] of Object.entries(CHECKLIST_BIRD_FIELDS)) {
+                const problem = checkChecklistField(entry[field], definition);
+                if (!problem) {
+                    continue;
+                }
+                if (definition.detail) {
+                    report('warning', where, t('checklist.detailIgnored', { field, problem }));
+                    delete bird[field];
+                } else {
+                    report('error', where, t('checklist.fieldProblem', { field, problem }));
+                    valid = false;
+                }
+            }
+
+            for (const field of Object.keys(entry)) {
+                if (!CHECKLIST_BIRD_FIELDS[field]) {
+                    report('warning', where, t('checklist.unknownField', { field }));
+                }
+            }
+
+            if (valid) {
+                birds.push(bird);
+            }
+        });
+
+        checklist.categories.push({ name: key, birds });
+    }
+
+    return { checklist, issues };
+}
+
+/**
+ * Turns a checklist back into the file format validateChecklist() reads
+ * Settings come first, then one key per category in order; birds keep only
+ * the known fields
+ *
+ * @param {Object} checklist - { title, description, ..., categories: [{ name, birds }] }
+ * @returns {Object} - Checklist JSON
+ */
+function checklistToJson(checklist) {
+    const data = {};
+
+    for (const key of Object.keys(CHECKLIST_SETTINGS_FIELDS)) {
+        if (checklist[key] !== undefined) {
+            data[key] = checklist[key];
+        }
+    }
+
+    for (const category of checklist.categories) {
+        data[category.name] = category.birds.map(bird => {
+            const entry = {};
+            for (const field of Object.keys(CHECKLIST_BIRD_FIELDS)) {
+                if (bird[field] !== undefined) {
+                    entry[field] = bird[field];
+                }
+            }
+            return entry;
+        });
+    }
+
+    return data;
+}
+
+/**
+ * Key used to spot the same bird in different checklists
+ *
+ * @param {Object} bird - Bird entry
+ * @returns {string} - Lower-case scientific name, or common name when there is none
+ */
+function checklistBirdKey(bird) {
+    return (bird.scientific_name || bird.common_name).trim().toLowerCase();
+}
+
+/**
+ * Merges several checklists into one
+ * Categories with the same name are combined and a bird that appears more than
+ * once (by scientific name) is only kept the first time
+ *
+ * @param {Array} checklists - Validated checklists, in priority order
+ * @returns {Object} - The merged checklist
+ */
+function mergeChecklists(checklists) {
+    if (checklists.length === 1) {
+        return checklists[0];
+    }
+
+    const merged = { categories: [] };
+    const seen = new Set();
+
+    merged.title = checklists.map(checklist => checklist.title).filter(Boolean).join(' + ') || undefined;
+    merged.description = checklists.map(checklist => checklist.description).filter(Boolean).join(' ') || undefined;
+    const withProviders = checklists.find(checklist => checklist.image_providers);
+    merged.image_providers = withProviders ? withProviders.image_providers : undefined;
+    const countries = new Set(checklists.map(checklist => checklist.country));
+    merged.country = countries.size === 1 ? [...countries][0] : undefined;
+    const confusionPairs = checklists.flatMap(checklist => checklist.confusion_pairs || []);
+    merged.confusion_pairs = confusionPairs.length > 0 ? confusionPairs : undefined;
+
+    for (const checklist of checklists) {
+        for (const category of checklist.categories) {
+            let target = merged.categories.find(existing => existing.name === category.name);
+            if (!target) {
+                target = { name: category.name, birds: [] };
+                merged.categories.push(target);
+            }
+
+            for (const bird of category.birds) {
+                const key = checklistBirdKey(bird);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    target.birds.push(bird);
+                }
+            }
+        }
+    }
+
+    // Categories left empty by de-duplication aren't worth a heading
+    merged.categories = merged.categories.filter(category => category.birds.length > 0);
+
+    return merged;
+}
+
+/**
+ * Fetches, validates and merges one or more checklist files
+ * A file that can't be fetched or parsed is reported and skipped
+ *
+ * @param {Array} files - Checklist file names
+ * @returns {Promise<Object>} - { checklist, issues }, checklist is null if nothing loaded
+ */
+async function loadChecklists(files) {
+    const checklists = [];
+    const issues = [];
+
+    for (const file of files) {
+        let data;
+        try {
+            const response = await fetch(file);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            console.error(`Error loading checklist ${file}:`, error);
+            issues.push({ severity: 'error', message: t('checklist.loadFailed', { file, error: error.message }) });
+            continue;
+        }
+
+        const result = validateChecklist(data, file);
+        issues.push(...result.issues);
+        if (result.checklist) {
+            checklists.push(result.checklist);
+        }
+    }
+
+    return {
+        checklist: checklists.length > 0 ? mergeChecklists(checklists) : null,
+        issues
+    };
+}
+
+/**
+ * Reads the checklists to show from the URL, e.g. ?checklist=a.json,b.json
+ * (the parameter may also be repeated)
+ *
+ * @returns {Array} - Checklist file names, the default checklist if none are given
+ */
+function checklistFilesFromUrl() {
+    const files = new URLSearchParams(window.location.search)
+        .getAll('checklist')
+        .flatMap(value => value.split(','))
+        .map(file => file.trim())
+        .filter(Boolean);
+
+    return files.length > 0 ? files : [DEFAULT_CHECKLIST_FILE];
+}
+
+/**
+ * Puts the chosen checklists in the URL so the view can be bookmarked
+ *
+ * @param {Array} files - Checklist file names
+ */
+function setChecklistFilesInUrl(files) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('checklist');
+    if (files.length > 0 && !(files.length === 1 && files[0] === DEFAULT_CHECKLIST_FILE)) {
+        params.set('checklist', files.join(','));
+    }
+
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+/**
+ * Fetches the list of checklists offered in the selector
+ *
+ * @returns {Promise<Array>} - [{ file, label }], just the default checklist if there is no index
+ */
+async function fetchChecklistIndex() {
+    try {
+        const response = await fetch(CHECKLIST_INDEX_FILE);
+        if (response.ok) {
+            const index = await response.json();
+            if (Array.isArray(index)) {
+                return index.filter(entry => entry && typeof entry.file === 'string');
+            }
+        }
+    } catch (error) {
+        console.error('Error loading checklist index:', error);
+    }
+
+    return [{ file: DEFAULT_CHECKLIST_FILE, label: DEFAULT_CHECKLIST_FILE }];
+}
+
+// Shared with the manifest builder (build-manifest.js), which runs under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateChecklist, checklistBirdKey };
+}
@@ -0,0 +1,418 @@
+/**
+ * COMPARE
+ *
+ * Side-by-side view of two to four look-alike birds. Cards are picked with
+ * their "Compare" switch and opened from the bar that appears at the bottom
+ * of the page. The view shows each bird's photos next to the others', stepping
+ * through all of them together, with the Wikipedia summary of each species.
+ *
+ * Groups of look-alikes can be saved in the checklist as "confusion_pairs"
+ * (see checklist.js); each card in such a group gets a "Compare with ..."
+ * link. Saving a group from the view adds it to the checklist draft, like the
+ * checklist editor does (see checklist-editor.js).
+ */
+
+// Cards picked for comparison, in the order they were picked
+const compareSelection = [];
+
+// What the view is showing: { cards, step }, null while closed
+let compareState = null;
+
+/**
+ * Whether a name from "confusion_pairs" refers to a bird
+ *
+ * @param {string} name - Common or scientific name
+ * @param {Object} bird - Bird entry
+ * @returns {boolean}
+ */
+function isConfusionName(name, bird) {
+    const wanted = name.trim().toLowerCase();
+    return [bird.common_name, bird.scientific_name]
+        .some(birdName => birdName && birdName.trim().toLowerCase() === wanted);
+}
+
+/**
+ * The checklist's groups of look-alikes, as bird keys
+ * Names that match no bird in the checklist are left out
+ *
+ * @param {Object} checklist - Validated checklist
+ * @returns {Array} - [[bird key, ...]], only groups with at least two birds found
+ */
+function confusionGroups(checklist) {
+    const birds = allChecklistBirds(checklist);
+
+    return (checklist.confusion_pairs || [])
+        .map(group => group
+            .map(name => birds.find(bird => isConfusionName(name, bird)))
+            .filter(Boolean)
+            .map(checklistBirdKey))
+        .map(keys => [...new Set(keys)])
+        .filter(keys => keys.length >= CONFUSION_GROUP_MIN_SIZE);
+}
+
+/**
+ * Adds the "Compare" switch to a card
+ *
+ * @param {HTMLElement} card - The bird card
+ */
+function addCompareToggle(card) {
+    const label = document.createElement('label');
+    label.className = 'compare-toggle';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => toggleCompareCard(card, checkbox.checked));
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(t('compare.toggle')));
+    card.appendChild(label);
+}
+
+/**
+ * Picks a card for comparison or drops it
+ * Only CONFUSION_GROUP_MAX_SIZE cards can be picked at once, the bar says so
+ * when one more is ticked
+ *
+ * @param {HTMLElement} card - The bird card
+ * @param {boolean} selected - Whether the card is picked
+ */
+function toggleCompareCard(card, selected) {
+    const index = compareSelection.indexOf(card);
+
+    if (selected && index === -1) {
+        if (compareSelection.length >= CONFUSION_GROUP_MAX_SIZE) {
+            card.querySelector('.compare-toggle input').checked = false;
+            document.querySelector('.compare-bar-message').textContent = t('compare.tooMany', { max: CONFUSION_GROUP_MAX_SIZE });
+            return;
+        }
+        compareSelection.push(card);
+    } else if (!selected && index !== -1) {
+        compareSelection.splice(index, 1);
+    }
+
+    card.classList.toggle('compare-selected', selected);
+    renderCompareBar();
+}
+
+/**
+ * Drops all picked cards, e.g. when the gallery is rebuilt
+ */
+function clearCompareSelection() {
+    for (const card of compareSelection) {
+        card.classList.remove('compare-selected');
+        card.querySelector('.compare-toggle input').checked = false;
+    }
+    compareSelection.length = 0;
+    renderCompareBar();
+}
+
+/**
+ * Shows the bar with the picked birds, hidden while none are picked
+ */
+function renderCompareBar() {
+    let bar = document.querySelector('.compare-bar');
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.className = 'compare-bar';
+        bar.innerHTML = `
+            <span class="compare-bar-names"></span>
+            <button type="button" class="compare-open"></button>
+            <button type="button" class="compare-clear">${t('compare.clear')}</button>
+            <span class="compare-bar-message" aria-live="polite"></span>`;
+        bar.querySelector('.compare-open').addEventListener('click', () => openCompare(compareSelection.slice()));
+        bar.querySelector('.compare-clear').addEventListener('click', clearCompareSelection);
+        document.body.appendChild(bar);
+    }
+
+    bar.hidden = compareSelection.length === 0;
+    bar.querySelector('.compare-bar-message').textContent = '';
+    bar.querySelector('.compare-bar-names').textContent = compareSelection.map(cardDisplayName).join(' · ');
+
+    const open = bar.querySelector('.compare-open');
+    open.textContent = t('compare.open', { count: compareSelection.length });
+    open.disabled = compareSelection.length < CONFUSION_GROUP_MIN_SIZE;
+    open.title = open.disabled ? t('compare.pickMore', { min: CONFUSION_GROUP_MIN_SIZE }) : '';
+}
+
+/**
+ * Adds a "Compare with ..." link to each card in a group of look-alikes
+ * Safe to call again, e.g. once the names are shown in another language
+ *
+ * @param {Array} cards - Bird card elements
+ * @param {Object} checklist - The checklist shown
+ */
+function renderConfusionLinks(cards, checklist) {
+    const cardsByKey = new Map(cards.map(card => [cardBirdKey(card), card]));
+    const groups = confusionGroups(checklist)
+        .map(keys => keys.map(key => cardsByKey.get(key)).filter(Boolean))
+        .filter(group => group.length >= CONFUSION_GROUP_MIN_SIZE);
+
+    for (const card of cards) {
+        const existing = card.querySelector('.compare-links');
+        if (existing) {
+            existing.remove();
+        }
+
+        const cardGroups = groups.filter(group => group.includes(card));
+        if (cardGroups.length === 0) {
+            continue;
+        }
+
+        const links = document.createElement('div');
+        links.className = 'compare-links';
+        for (const group of cardGroups) {
+            const others = group.filter(other => other !== card).map(cardDisplayName);
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = t('compare.with', { names: others.join(', ') });
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                openCompare([card, ...group.filter(other => other !== card)]);
+            });
+            links.appendChild(link);
+        }
+
+        // Right under the name, where people look for it
+        card.querySelector('.bird-name').after(links);
+    }
+}
+
+/**
+ * Builds the comparison view's elements (once) and wires up its buttons
+ *
+ * @returns {HTMLElement} - The view element
+ */
+function getCompareElement() {
+    let view = document.querySelector('.compare');
+    if (view) {
+        return view;
+    }
+
+    view = document.createElement('div');
+    view.className = 'compare';
+    view.hidden = true;
+    view.setAttribute('role', 'dialog');
+    view.setAttribute('aria-modal', 'true');
+    view.innerHTML = `
+        <button type="button" class="compare-close" aria-label="${t('compare.close')}">×</button>
+        <div class="compare-controls">
+            <button type="button" class="compare-prev" aria-label="${t('compare.previous')}">‹</button>
+            <span class="compare-step"></span>
+            <button type="button" class="compare-next" aria-label="${t('compare.next')}">›</button>
+            <button type="button" class="compare-save">${t('compare.save')}</button>
+        </div>
+        <p class="compare-message" aria-live="polite"></p>
+        <div class="compare-columns"></div>`;
+
+    view.querySelector('.compare-close').addEventListener('click', closeCompare);
+    view.querySelector('.compare-prev').addEventListener('click', () => stepCompare(-1));
+    view.querySelector('.compare-next').addEventListener('click', () => stepCompare(1));
+    view.querySelector('.compare-save').addEventListener('click', saveConfusionGroup);
+
+    document.body.appendChild(view);
+    return view;
+}
+
+/**
+ * Handles the keyboard while the view is open
+ *
+ * @param {KeyboardEvent} event
+ */
+function handleCompareKey(event) {
+    if (event.key === 'Escape') {
+        closeCompare();
+    } else if (event.key === 'ArrowLeft') {
+        stepCompare(-1);
+    } else if (event.key === 'ArrowRight') {
+        stepCompare(1);
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Shows each bird's photo for the current step, with its counter and credit
+ * Birds with fewer photos start over from their first
+ */
+function renderComparePhotos() {
+    const view = getCompareElement();
+    const { cards, step } = compareState;
+    const most = Math.max(...cards.map(card => (card._images || []).length));
+
+    view.querySelector('.compare-step').textContent = most > 1
+        ? t('compare.step', { number: step + 1, count: most })
+        : '';
+    view.classList.toggle('single', most < 2);
+
+    view.querySelectorAll('.compare-column').forEach((column, index) => {
+        const card = cards[index];
+        const images = card._images || [];
+        const image = column.querySelector('.compare-image');
+        const counter = column.querySelector('.compare-counter');
+        const credit = column.querySelector('.compare-credit');
+
+        if (images.length === 0) {
+            image.src = placeholderImageUrl(card.dataset.commonName);
+            counter.textContent = t('lightbox.noPhotos');
+            credit.innerHTML = '';
+            return;
+        }
+
+        const imageIndex = step % images.length;
+        image.src = images[imageIndex].url;
+        counter.textContent = t('lightbox.counter', { number: imageIndex + 1, count: images.length });
+        renderPhotoCredit(credit, images[imageIndex]);
+    });
+}
+
+/**
+ * Fills a column with the Wikipedia summary of its species
+ *
+ * @param {HTMLElement} column - The bird's column
+ * @param {HTMLElement} card - The bird card
+ */
+async function renderCompareSummary(column, card) {
+    const extract = column.querySelector('.compare-extract');
+    const state = compareState;
+
+    if (isOfflineMode()) {
+        extract.textContent = t('lightbox.offline');
+        return;
+    }
+
+    extract.textContent = t('lightbox.loading');
+    const summary = await fetchCardSummary(card);
+
+    // The view may have been closed or reopened while this was loading
+    if (compareState !== state) {
+        return;
+    }
+
+    extract.textContent = summary && summary.extract ? summary.extract : t('lightbox.noDescription');
+    if (summary && summary.url) {
+        column.querySelector('.compare-article').href = summary.url;
+    }
+}
+
+/**
+ * Opens the comparison view for some cards
+ * Photos not looked up yet (cards not scrolled to) are looked up now
+ *
+ * @param {Array} cards - Two to four bird cards
+ */
+async function openCompare(cards) {
+    if (cards.length < CONFUSION_GROUP_MIN_SIZE) {
+        return;
+    }
+
+    const view = getCompareElement();
+    const state = { cards, step: 0 };
+    compareState = state;
+
+    view.querySelector('.compare-message').textContent = '';
+    const columns = view.querySelector('.compare-columns');
+    columns.innerHTML = '';
+    columns.style.gridTemplateColumns = `repeat(${cards.length}, minmax(0, 1fr))`;
+
+    for (const card of cards) {
+        const column = document.createElement('section');
+        column.className = 'compare-column';
+        column.innerHTML = `
+            <img class="compare-image" alt="">
+            <div class="compare-caption">
+                <span class="compare-counter"></span>
+                <span class="compare-credit"></span>
+            </div>
+            <h2></h2>
+            <p class="compare-scientific"></p>
+            <p class="compare-extract"></p>
+            <a class="compare-article" target="_blank" rel="noopener noreferrer">${t('lightbox.readMore')}</a>`;
+        column.querySelector('.compare-image').alt = cardDisplayName(card);
+        column.querySelector('h2').textContent = cardDisplayName(card);
+        column.querySelector('.compare-scientific').textContent = card.dataset.scientificName;
+        column.querySelector('.compare-article').href = card.querySelector('.bird-name').href;
+        columns.appendChild(column);
+        renderCompareSummary(column, card);
+    }
+
+    // Nothing to save when these birds are already a group of look-alikes
+    const keys = cards.map(cardBirdKey);
+    view.querySelector('.compare-save').hidden = confusionGroups(currentChecklist)
+        .some(group => keys.every(key => group.includes(key)));
+
+    renderComparePhotos();
+    view.hidden = false;
+    document.body.classList.add('compare-open');
+    document.addEventListener('keydown', handleCompareKey);
+    view.querySelector('.compare-close').focus();
+
+    if (isOfflineMode()) {
+        return;
+    }
+    for (const card of cards.filter(card => !card._allImages)) {
+        await loadCardImages(card);
+        if (compareState === state) {
+            renderComparePhotos();
+        }
+    }
+}
+
+/**
+ * Moves all birds to their previous or next photo together
+ *
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function stepCompare(direction) {
+    if (!compareState) {
+        return;
+    }
+
+    const most = Math.max(...compareState.cards.map(card => (card._images || []).length));
+    if (most < 2) {
+        return;
+    }
+    compareState.step = (compareState.step + direction + most) % most;
+    renderComparePhotos();
+}
+
+/**
+ * Saves the birds compared as a group of look-alikes in the checklist draft,
+ * then rebuilds the gallery behind the view so their cards get "Compare
+ * with ..." links
+ * Refused while several checklists are merged, since the group would be
+ * saved in all of them; the view tells the user the group stays in the draft
+ * until the checklist is exported
+ */
+function saveConfusionGroup() {
+    const view = getCompareElement();
+    const message = view.querySelector('.compare-message');
+    const files = checklistFilesFromUrl();
+    if (files.length > 1) {
+        message.textContent = t('compare.saveMerged', { count: files.length });
+        return;
+    }
+
+    const names = compareState.cards.map(card => card.dataset.commonName);
+    saveChecklistDraft({
+        ...currentChecklist,
+        confusion_pairs: [...(currentChecklist.confusion_pairs || []), names]
+    });
+    view.querySelector('.compare-save').hidden = true;
+    message.textContent = t('compare.savedInDraft');
+    loadBirds();
+}
+
+/**
+ * Closes the comparison view
+ */
+function closeCompare() {
+    if (!compareState) {
+        return;
+    }
+
+    compareState = null;
+    getCompareElement().hidden = true;
+    document.body.classList.remove('compare-open');
+    document.removeEventListener('keydown', handleCompareKey);
+}
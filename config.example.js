@@ -0,0 +1,26 @@
+/**
+ * Local settings for the gallery.
+ * Copy this file to config.js (which git ignores) and adjust as needed.
+ * Settings here take precedence over the ones in the checklist JSON.
+ */
+window.BIRD_GRID_CONFIG = {
+    // Image providers, tried in order until one returns images.
+    // Built-in types: "local", "commons" and "wikipedia".
+    image_providers: [
+        // Your own photos in images/<Scientific_name>/, e.g. images/Ara_macao/
+        { type: 'local', base_url: 'images/' },
+
+        // Wikimedia Commons; point api_url at a mock server for testing
+        { type: 'commons', api_url: 'https://commons.wikimedia.org/w/api.php' },
+
+        // Wikipedia page summary, searched by common name
+        {
+            type: 'wikipedia',
+            api_url: 'https://en.wikipedia.org/w/api.php',
+            rest_url: 'https://en.wikipedia.org/api/rest_v1'
+        }
+    ],
+
+    // Wikidata SPARQL endpoint used to look up orders and families
+    wikidata_sparql_url: 'https://query.wikidata.org/sparql'
+};
@@ -0,0 +1,249 @@
+/**
+ * PHOTO CURATION
+ *
+ * Lets each bird have a preferred photo pinned first and bad photos hidden.
+ * Photos are told apart by their original URL. Choices are saved in this
+ * browser and can be exported as a curation file kept next to the checklist,
+ * e.g. birds_of_costa_rica.curation.json for birds_of_costa_rica.json:
+ *
+ *   {
+ *     "ara macao": {
+ *       "pinned": "https://upload.wikimedia.org/.../Ara_macao.jpg",
+ *       "hidden": ["https://upload.wikimedia.org/.../Ara_macao_egg.jpg"]
+ *     }
+ *   }
+ *
+ * Keys are bird keys (see checklistBirdKey). When a bird has choices both in
+ * the file and in this browser, the browser's win.
+ */
+
+const CURATION_STORAGE_KEY = 'birds.curation';
+
+// Appended to a checklist's name (without .json) to find its curation file
+const CURATION_FILE_SUFFIX = '.curation.json';
+
+// Choices read from the curation files of the checklists shown: { [bird key]: { pinned, hidden } }
+let curationFromFiles = {};
+
+/**
+ * Identifies a photo across lookups and providers
+ *
+ * @param {Object} image - Image information object
+ * @returns {string} - The original URL, or the URL the photo was found at
+ */
+function curationImageId(image) {
+    return image.originalUrl || image.sourceUrl || image.url;
+}
+
+/**
+ * Reads the choices saved in this browser
+ *
+ * @returns {Object} - { [bird key]: { pinned, hidden } }
+ */
+function loadLocalCuration() {
+    try {
+        return JSON.parse(localStorage.getItem(CURATION_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading photo choices:', error);
+        return {};
+    }
+}
+
+/**
+ * Saves the choices made in this browser
+ *
+ * @param {Object} curation - { [bird key]: { pinned, hidden } }
+ */
+function saveLocalCuration(curation) {
+    localStorage.setItem(CURATION_STORAGE_KEY, JSON.stringify(curation));
+}
+
+/**
+ * The choices in effect for a bird
+ *
+ * @param {string} key - Bird key
+ * @returns {Object} - { pinned, hidden }, pinned is null when no photo is pinned
+ */
+function getCuration(key) {
+    const entry = loadLocalCuration()[key] || curationFromFiles[key] || {};
+    return { pinned: entry.pinned || null, hidden: entry.hidden || [] };
+}
+
+/**
+ * Saves new choices for a bird
+ * Choices that match the curation file (or are empty when there is no file
+ * entry) aren't kept, so an updated file takes effect again
+ *
+ * @param {string} key - Bird key
+ * @param {Object} entry - { pinned, hidden }
+ */
+function setCuration(key, entry) {
+    const curation = loadLocalCuration();
+    const fromFile = curationFromFiles[key] || { pinned: null, hidden: [] };
+    const sameAsFile = (entry.pinned || null) === (fromFile.pinned || null) &&
+        entry.hidden.length === fromFile.hidden.length &&
+        entry.hidden.every(id => fromFile.hidden.includes(id));
+
+    if (sameAsFile) {
+        delete curation[key];
+    } else {
+        curation[key] = { pinned: entry.pinned || null, hidden: entry.hidden };
+    }
+    saveLocalCuration(curation);
+}
+
+/**
+ * Pins a photo as the bird's first photo, or unpins it if it already is
+ * Pinning a hidden photo un-hides it
+ *
+ * @param {string} key - Bird key
+ * @param {Object} image - Image information object
+ */
+function togglePinnedImage(key, image) {
+    const id = curationImageId(image);
+    const entry = getCuration(key);
+    const pinned = entry.pinned === id ? null : id;
+    setCuration(key, { pinned, hidden: entry.hidden.filter(hiddenId => hiddenId !== pinned) });
+}
+
+/**
+ * Hides a photo of the bird, or shows it again if it is hidden
+ * Hiding the pinned photo unpins it
+ *
+ * @param {string} key - Bird key
+ * @param {Object} image - Image information object
+ */
+function toggleHiddenImage(key, image) {
+    const id = curationImageId(image);
+    const entry = getCuration(key);
+    if (entry.hidden.includes(id)) {
+        setCuration(key, { pinned: entry.pinned, hidden: entry.hidden.filter(hiddenId => hiddenId !== id) });
+    } else {
+        setCuration(key, { pinned: entry.pinned === id ? null : entry.pinned, hidden: [...entry.hidden, id] });
+    }
+}
+
+/**
+ * Whether a photo is pinned or hidden for a bird
+ *
+ * @param {string} key - Bird key
+ * @param {Object} image - Image information object
+ * @returns {Object} - { pinned, hidden } booleans
+ */
+function imageCurationState(key, image) {
+    const id = curationImageId(image);
+    const entry = getCuration(key);
+    return { pinned: entry.pinned === id, hidden: entry.hidden.includes(id) };
+}
+
+/**
+ * Applies a bird's choices to its photos: hidden ones are left out and the
+ * pinned one comes first, the rest keep their ranking
+ *
+ * @param {string} key - Bird key
+ * @param {Array} images - Image information objects, best first
+ * @returns {Array} - The photos to show
+ */
+function curateImages(key, images) {
+    const { pinned, hidden } = getCuration(key);
+    const shown = images.filter(image => !hidden.includes(curationImageId(image)));
+    const pinnedIndex = shown.findIndex(image => curationImageId(image) === pinned);
+    if (pinnedIndex > 0) {
+        shown.unshift(...shown.splice(pinnedIndex, 1));
+    }
+    return shown;
+}
+
+/**
+ * Name of the curation file that goes with a checklist file
+ *
+ * @param {string} checklistFile - e.g. "birds_of_costa_rica.json"
+ * @returns {string} - e.g. "birds_of_costa_rica.curation.json"
+ */
+function curationFileName(checklistFile) {
+    return checklistFile.replace(/\.json$/i, '') + CURATION_FILE_SUFFIX;
+}
+
+/**
+ * Checks a parsed curation file and keeps its valid entries
+ *
+ * @param {*} data - Parsed curation JSON
+ * @param {string} source - File name, used in messages
+ * @returns {Object} - { curation, issues }
+ */
+function validateCurationFile(data, source) {
+    const curation = {};
+    const issues = [];
+
+    if (jsonTypeOf(data) !== 'object') {
+        issues.push({ severity: 'warning', message: `${source}: ${t('curation.notObject', { type: withArticle(jsonTypeOf(data)) })}` });
+        return { curation, issues };
+    }
+
+    for (const [key, entry] of Object.entries(data)) {
+        const pinnedOk = entry && (entry.pinned === undefined || entry.pinned === null || typeof entry.pinned === 'string');
+        const hiddenOk = entry && (entry.hidden === undefined ||
+            (Array.isArray(entry.hidden) && entry.hidden.every(id => typeof id === 'string')));
+
+        if (jsonTypeOf(entry) !== 'object' || !pinnedOk || !hiddenOk) {
+            issues.push({ severity: 'warning', message: `${source} › ${key}: ${t('curation.badEntry')}` });
+            continue;
+        }
+        curation[key.trim().toLowerCase()] = { pinned: entry.pinned || null, hidden: entry.hidden || [] };
+    }
+
+    return { curation, issues };
+}
+
+/**
+ * Loads the curation files that go with the checklists shown
+ * A checklist without a curation file is fine; for birds in several files
+ * the first checklist's choices are used
+ *
+ * @param {Array} files - Checklist file names
+ * @returns {Promise<Array>} - Problems found, as [{ severity, message }]
+ */
+async function loadCurationFiles(files) {
+    const issues = [];
+    curationFromFiles = {};
+
+    for (const file of files) {
+        const curationFile = curationFileName(file);
+        let data;
+        try {
+            const response = await fetch(curationFile);
+            if (!response.ok) {
+                continue; // Most checklists don't have one
+            }
+            data = await response.json();
+        } catch (error) {
+            console.log(`No curation file loaded for ${file}:`, error.message);
+            continue;
+        }
+
+        const result = validateCurationFile(data, curationFile);
+        issues.push(...result.issues);
+        curationFromFiles = { ...result.curation, ...curationFromFiles };
+    }
+
+    return issues;
+}
+
+/**
+ * Offers the choices in effect for the birds of the checklist shown as a
+ * curation file, named after the checklist
+ */
+function exportCuration() {
+    const data = {};
+    for (const bird of allChecklistBirds(currentChecklist)) {
+        const key = checklistBirdKey(bird);
+        const entry = getCuration(key);
+        if (entry.pinned || entry.hidden.length > 0) {
+            data[key] = entry;
+        }
+    }
+
+    const files = checklistFilesFromUrl();
+    const fileName = files.length === 1 ? curationFileName(files[0]) : `checklist${CURATION_FILE_SUFFIX}`;
+    downloadTextFile(fileName, `${JSON.stringify(data, null, 2)}\n`, 'application/json');
+}
@@ -0,0 +1,344 @@
+/**
+ * FIELD GUIDE
+ *
+ * Printable version of the gallery, to take where there's no signal. Birds are
+ * listed by the sections of the current view (checklist categories, families
+ * or A-Z), either as a compact checklist with tick boxes (birds already seen
+ * come ticked) or as a grid of cards with each bird's first photo and its
+ * credit. The same page can be printed or downloaded as a single HTML file
+ * with the photos embedded, which opens without a server.
+ *
+ * Birds whose photos haven't been looked up yet (cards not scrolled to) are
+ * looked up first, unless in offline mode.
+ */
+
+// Layouts offered, with the message key of their label
+const FIELD_GUIDE_LAYOUTS = {
+    list: 'fieldGuide.layoutList',
+    cards: 'fieldGuide.layoutCards'
+};
+
+// Styles of the generated page; print rules keep birds and headings from splitting across pages
+const FIELD_GUIDE_STYLES = `
+    body { font-family: Arial, sans-serif; color: #222; max-width: 900px; margin: 0 auto; padding: 16px; }
+    h1 { font-size: 22px; margin: 0 0 4px 0; }
+    .fg-description, .fg-generated { font-size: 12px; color: #555; margin: 0 0 8px 0; }
+    h2 { font-size: 16px; border-bottom: 1px solid #999; margin: 16px 0 6px 0; break-after: avoid; page-break-after: avoid; }
+    .fg-count { font-weight: normal; font-size: 12px; color: #555; }
+    .fg-list { columns: 2; column-gap: 24px; list-style: none; margin: 0; padding: 0; font-size: 12px; }
+    .fg-list li { padding: 2px 0; break-inside: avoid; page-break-inside: avoid; }
+    .fg-box { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border: 1px solid #333; font-size: 10px; line-height: 10px; text-align: center; vertical-align: -1px; }
+    .fg-scientific { font-style: italic; color: #555; }
+    .fg-cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
+    .fg-card { margin: 0; padding: 6px; border: 1px solid #ccc; font-size: 11px; break-inside: avoid; page-break-inside: avoid; }
+    .fg-card img, .fg-no-photo { display: block; width: 100%; height: 130px; object-fit: cover; }
+    .fg-no-photo { display: flex; align-items: center; justify-content: center; background-color: #eee; color: #888; }
+    .fg-card strong { display: block; margin-top: 4px; font-size: 12px; }
+    .fg-credit { display: block; margin-top: 2px; font-size: 9px; color: #777; }
+    @page { margin: 12mm; }
+    @media print { body { max-width: none; padding: 0; } }`;
+
+/**
+ * Escapes text for use in HTML
+ *
+ * @param {string} text - Any text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reads an image into a data: URL so it can be embedded in the page
+ *
+ * @param {string} url - Image URL, including blob: URLs of cached images
+ * @returns {Promise<string|null>} - The data: URL, null if the image can't be read
+ */
+async function imageDataUrl(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const blob = await response.blob();
+
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    } catch (error) {
+        console.error(`Could not embed image ${url}:`, error);
+        return null;
+    }
+}
+
+/**
+ * The gallery's sections with their cards, in the order of the current view
+ *
+ * @returns {Promise<Array>} - [{ name, cards }]
+ */
+async function fieldGuideSections() {
+    const cardsByKey = new Map();
+    document.querySelectorAll('.bird-card').forEach(card => cardsByKey.set(cardBirdKey(card), card));
+
+    const groups = await groupChecklistForView(currentChecklist, readViewFromUrl());
+    return groups
+        .map(group => ({
+            name: group.name,
+            cards: group.birds.map(bird => cardsByKey.get(checklistBirdKey(bird))).filter(Boolean)
+        }))
+        .filter(section => section.cards.length > 0);
+}
+
+/**
+ * Credit line for a photo, as plain text
+ *
+ * @param {Object} image - Image information object
+ * @returns {string} - Empty if the photo has no credit
+ */
+function fieldGuideCredit(image) {
+    const attribution = image.attribution || {};
+    const parts = [attribution.artist || attribution.credit, attribution.license].filter(Boolean);
+    return parts.length > 0 ? t('gallery.photoCredit', { credit: parts.join(' · ') }) : '';
+}
+
+/**
+ * Builds the field guide page
+ * In the card layout each bird's first photo is embedded; photos that can't
+ * be read, and in offline mode photos without stored bytes, are printed as
+ * "no photo" so the page never needs the network
+ *
+ * @param {Array} sections - From fieldGuideSections()
+ * @param {string} layout - One of the FIELD_GUIDE_LAYOUTS keys
+ * @param {Function} onProgress - Called with (done, count) as photos are embedded
+ * @returns {Promise<string>} - Standalone HTML document
+ */
+async function buildFieldGuideHtml(sections, layout, onProgress) {
+    const count = sections.reduce((total, section) => total + section.cards.length, 0);
+    let done = 0;
+    const parts = [];
+
+    for (const section of sections) {
+        parts.push(`<section><h2>${escapeHtml(section.name)} <span class="fg-count">(${section.cards.length})</span></h2>`);
+        parts.push(layout === 'cards' ? '<div class="fg-cards">' : '<ul class="fg-list">');
+
+        for (const card of section.cards) {
+            const name = escapeHtml(cardDisplayName(card));
+            const scientific = card.dataset.scientificName
+                ? ` <span class="fg-scientific">${escapeHtml(card.dataset.scientificName)}</span>`
+                : '';
+
+            if (layout !== 'cards') {
+                const seen = getCardSightings(card).length > 0 ? '✓' : '';
+                parts.push(`<li><span class="fg-box">${seen}</span>${name}${scientific}</li>`);
+                continue;
+            }
+
+            const image = card._images && card._images[0];
+            const src = image && (image.sourceUrl || !isOfflineMode()) ? await imageDataUrl(image.url) : null;
+            let photo = `<div class="fg-no-photo">${escapeHtml(t('fieldGuide.noPhoto'))}</div>`;
+            if (src) {
+                const credit = fieldGuideCredit(image);
+                photo = `<img src="${escapeHtml(src)}" alt="${name}">` +
+                    (credit ? `<span class="fg-credit">${escapeHtml(credit)}</span>` : '');
+            }
+            parts.push(`<figure class="fg-card">${photo}<figcaption><strong>${name}</strong>${scientific}</figcaption></figure>`);
+            onProgress(++done, count);
+        }
+
+        parts.push(layout === 'cards' ? '</div>' : '</ul>');
+        parts.push('</section>');
+    }
+
+    const title = escapeHtml(currentChecklist.title || t('page.title'));
+    const description = currentChecklist.description
+        ? `<p class="fg-description">${escapeHtml(currentChecklist.description)}</p>`
+        : '';
+    const generated = escapeHtml(t('fieldGuide.generated', { date: new Date().toLocaleDateString(currentLanguage), count }));
+
+    return `<!DOCTYPE html>
+<html lang="${currentLanguage}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${FIELD_GUIDE_STYLES}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${description}
+<p class="fg-generated">${generated}</p>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Shows progress or a problem in the field guide panel
+ *
+ * @param {string} message - Text to show
+ */
+function setFieldGuideStatus(message) {
+    getFieldGuideElement().querySelector('.field-guide-status').textContent = message;
+}
+
+/**
+ * Looks up photos for the cards that have none yet, one at a time
+ * Skipped in offline mode, those birds are printed without a photo
+ *
+ * @param {Array} sections - From fieldGuideSections()
+ */
+async function findFieldGuidePhotos(sections) {
+    if (isOfflineMode()) {
+        return;
+    }
+
+    const cards = sections
+        .flatMap(section => section.cards)
+        .filter(card => !card._allImages);
+
+    for (const [index, card] of cards.entries()) {
+        setFieldGuideStatus(t('fieldGuide.findingPhotos', { done: index, count: cards.length }));
+        await loadCardImages(card);
+    }
+}
+
+/**
+ * Builds the field guide in the layout chosen in the panel
+ *
+ * @returns {Promise<string>} - Standalone HTML document
+ */
+async function buildChosenFieldGuide() {
+    const guide = getFieldGuideElement();
+    const buttons = guide.querySelectorAll('.field-guide-print, .field-guide-download');
+    const layout = guide.querySelector('input[name="field-guide-layout"]:checked').value;
+
+    // One at a time, a second build would only race the first
+    buttons.forEach(button => { button.disabled = true; });
+    try {
+        const sections = await fieldGuideSections();
+        if (layout === 'cards') {
+            await findFieldGuidePhotos(sections);
+        }
+
+        return await buildFieldGuideHtml(sections, layout, (done, count) =>
+            setFieldGuideStatus(t('fieldGuide.embedding', { done, count })));
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+/**
+ * Opens the field guide in a new window and prints it
+ * The window is opened straight away, before any await, so it isn't taken
+ * for a pop-up
+ */
+async function printFieldGuide() {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        setFieldGuideStatus(t('fieldGuide.popupBlocked'));
+        return;
+    }
+    printWindow.document.write(`<p>${escapeHtml(t('fieldGuide.preparing'))}</p>`);
+
+    const html = await buildChosenFieldGuide();
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+
+    const print = () => {
+        printWindow.focus();
+        printWindow.print();
+    };
+    if (printWindow.document.readyState === 'complete') {
+        print();
+    } else {
+        printWindow.addEventListener('load', print);
+    }
+    setFieldGuideStatus(t('fieldGuide.printed'));
+}
+
+/**
+ * Offers the field guide as an HTML file, named after the checklist
+ */
+async function downloadFieldGuide() {
+    const html = await buildChosenFieldGuide();
+
+    const files = checklistFilesFromUrl();
+    const fileName = files.length === 1
+        ? files[0].replace(/\.json$/i, '') + '-field-guide.html'
+        : 'field-guide.html';
+    downloadTextFile(fileName, html, 'text/html');
+    setFieldGuideStatus(t('fieldGuide.downloaded', { file: fileName }));
+}
+
+/**
+ * Builds the field guide panel (once) and wires up its buttons
+ *
+ * @returns {HTMLElement} - The panel element
+ */
+function getFieldGuideElement() {
+    let guide = document.querySelector('.field-guide');
+    if (guide) {
+        return guide;
+    }
+
+    const layouts = Object.entries(FIELD_GUIDE_LAYOUTS)
+        .map(([value, messageKey], index) =>
+            `<label><input type="radio" name="field-guide-layout" value="${value}"${index === 0 ? ' checked' : ''}> ${t(messageKey)}</label>`)
+        .join('');
+
+    guide = document.createElement('div');
+    guide.className = 'field-guide';
+    guide.hidden = true;
+    guide.setAttribute('role', 'dialog');
+    guide.setAttribute('aria-modal', 'true');
+    guide.innerHTML = `
+        <button type="button" class="field-guide-close" aria-label="${t('fieldGuide.close')}">×</button>
+        <h2>${t('fieldGuide.title')}</h2>
+        <p>${t('fieldGuide.intro')}</p>
+        <fieldset>
+            <legend>${t('fieldGuide.layout')}</legend>
+            ${layouts}
+        </fieldset>
+        <button type="button" class="field-guide-print">${t('fieldGuide.print')}</button>
+        <button type="button" class="field-guide-download">${t('fieldGuide.download')}</button>
+        <p class="field-guide-status" aria-live="polite"></p>`;
+
+    guide.querySelector('.field-guide-close').addEventListener('click', closeFieldGuide);
+    guide.querySelector('.field-guide-print').addEventListener('click', printFieldGuide);
+    guide.querySelector('.field-guide-download').addEventListener('click', downloadFieldGuide);
+
+    document.body.appendChild(guide);
+    return guide;
+}
+
+/**
+ * Opens the field guide panel for the checklist shown
+ */
+function openFieldGuide() {
+    if (!currentChecklist) {
+        return;
+    }
+
+    const guide = getFieldGuideElement();
+    setFieldGuideStatus(isOfflineMode() ? t('fieldGuide.offline') : '');
+    guide.hidden = false;
+    document.body.classList.add('field-guide-open');
+}
+
+/**
+ * Closes the field guide panel
+ */
+function closeFieldGuide() {
+    getFieldGuideElement().hidden = true;
+    document.body.classList.remove('field-guide-open');
+}
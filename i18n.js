@@ -0,0 +1,818 @@
+/**
+ * LOCALIZATION
+ *
+ * UI text comes from the message catalogs below, looked up with t('key').
+ * Messages can hold {placeholders}, filled in from the second argument.
+ * A message missing from a catalog falls back to English. To add a language,
+ * add its catalog to MESSAGES and its name to UI_LANGUAGES.
+ *
+ * Species names and Wikipedia links in the chosen language come from Wikidata:
+ * the taxon's label and its sitelink to that language's Wikipedia, resolved
+ * by scientific name and cached in localStorage. The checklist's common names
+ * are English, so English needs no lookup.
+ *
+ * The language is picked with ?lang=es, or the switcher, and remembered.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_STORAGE_KEY = 'birds.language';
+const SPECIES_NAMES_STORAGE_KEY = 'birds.speciesNames';
+
+// Names rarely change, so cached lookups are kept for a long time
+const SPECIES_NAMES_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Languages offered in the switcher, by their own name
+const UI_LANGUAGES = {
+    en: 'English',
+    es: 'Español'
+};
+
+const MESSAGES = {
+    en: {
+        'page.title': 'Birds of Costa Rica',
+        'page.description': 'Explore and discover the beautiful birds of Costa Rica. All images from Wikipedia when available.',
+        'language.label': 'Language: ',
+
+        'gallery.loading': 'Loading bird data...',
+        'gallery.loadFailed': 'Failed to load bird data. Please try again later.',
+        'gallery.instructionsPhotos': 'Click any bird image to open the photo viewer with all photos and a short description.',
+        'gallery.instructionsNames': 'Click any bird name to view wikipedia article.',
+        'gallery.photoCredit': 'Photo: {credit}',
+
+        'offline.toggle': ' Offline mode (use cached images only)',
+        'offline.allCached': 'Offline mode: showing cached images only.',
+        'offline.missing': 'Offline mode: no cached images for {missing} of {total} birds: {names}.',
+
+        'checklists.legend': 'Checklists',
+        'checklists.errors': 'Found {count} error(s) in the checklist; the entries concerned were skipped.',
+        'checklists.warnings': 'The checklist has warnings.',
+        'checklist.notObject': 'a checklist should be an object but this is {type}',
+        'checklist.notCategory': 'a category should be an array of birds but is {type}',
+        'checklist.notBird': 'a bird should be an object but is {type}',
+        'checklist.entry': 'entry {number}',
+        'checklist.fieldProblem': '"{field}" {problem}',
+        'checklist.unknownField': 'unknown field "{field}" was ignored',
+        'checklist.detailIgnored': '"{field}" {problem}, the field was ignored',
+        'checklist.missing': 'is missing',
+        'checklist.empty': 'is empty',
+        'checklist.wrongType': 'should be {expected} but is {actual}',
+        'checklist.confusionPairs': 'should be a list of groups, each of {min} to {max} bird names',
+        'checklist.notOneOf': 'should be one of {choices}',
+        'checklist.months': 'should be a list of month numbers from 1 to 12',
+        'checklist.elevation': 'should be [lowest, highest] in metres',
+        'checklist.stringList': 'should be a list of texts',
+        'checklist.countryCode': 'should be a two-letter country code such as "CR"',
+        'checklist.loadFailed': '{file}: could not be loaded ({error})',
+        'checklist.type.array': 'an array',
+        'checklist.type.null': 'null',
+        'checklist.type.string': 'a string',
+        'checklist.type.number': 'a number',
+        'checklist.type.object': 'an object',
+        'checklist.type.boolean': 'a boolean',
+
+        'filter.placeholder': 'Filter birds by common or scientific name...',
+        'filter.allCategories': 'All',
+        'filter.count': '{shown} of {total} birds',
+
+        'view.label': 'Group birds: ',
+        'view.checklist': 'Checklist categories',
+        'view.taxonomic': 'Taxonomic order',
+        'view.family': 'Order and family (A–Z)',
+        'view.alphabetical': 'A–Z',
+        'view.familyUnknown': 'Family unknown',
+
+        'sightings.markAsSeen': 'Mark as seen',
+        'sightings.seenOn': '✓ Seen {date}',
+        'sightings.seenTimes': '✓ Seen {count}×, last {date}',
+        'sightings.clickToEdit': 'Click to add or remove sightings',
+        'sightings.recordHint': 'Record that you saw this bird',
+        'sightings.date': 'Date',
+        'sightings.place': 'Place',
+        'sightings.notes': 'Notes',
+        'sightings.save': 'Save',
+        'sightings.cancel': 'Cancel',
+        'sightings.remove': 'Remove',
+        'sightings.categoryCount': '{seen} of {total} seen',
+        'sightings.total': 'Seen {seen} of {total} birds',
+        'sightings.filterAll': 'All birds',
+        'sightings.filterSeen': 'Seen',
+        'sightings.filterUnseen': 'Not seen yet',
+        'sightings.exportCsv': 'Export CSV',
+        'sightings.exportEbird': 'Export for eBird',
+        'sightings.importCsv': 'Import CSV',
+        'sightings.imported': 'Imported {count} sighting(s), {skipped} already recorded.',
+
+        'lightbox.close': 'Close',
+        'lightbox.previous': 'Previous photo',
+        'lightbox.next': 'Next photo',
+        'lightbox.readMore': 'Read more on Wikipedia',
+        'lightbox.noPhotos': 'No photos found',
+        'lightbox.counter': '{number} of {count}',
+        'lightbox.photoAlt': '{name} ({number} of {count})',
+        'lightbox.thumbAlt': '{name} photo {number}',
+        'lightbox.offline': 'The description is not available in offline mode.',
+        'lightbox.loading': 'Loading description...',
+        'lightbox.noDescription': 'No description found.',
+
+        'audio.looking': 'Looking for recordings',
+        'audio.none': '♪ No recordings',
+        'audio.noneHint': 'No recordings of this bird were found',
+        'audio.countOne': '▶ 1 recording',
+        'audio.countOther': '▶ {count} recordings',
+        'audio.playing': '■ {number} of {count}',
+        'audio.stop': 'Stop',
+        'audio.playNext': 'Play the next recording',
+        'audio.credit': 'Recording: {credit}',
+        'audio.failed': 'This recording could not be played.',
+        'audio.offline': '♪ Offline',
+        'audio.offlineHint': 'Recordings are streamed from Wikimedia Commons, so they can\'t be played in offline mode',
+
+        'quiz.open': 'Quiz me',
+        'quiz.close': 'Close',
+        'quiz.title': 'Identification quiz',
+        'quiz.categories': 'Categories',
+        'quiz.answerBy': 'Answer by',
+        'quiz.multipleChoice': 'Multiple choice',
+        'quiz.typed': 'Typing the name',
+        'quiz.start': 'Start',
+        'quiz.imageAlt': 'Which bird is this?',
+        'quiz.answerPlaceholder': 'Common name',
+        'quiz.check': 'Check',
+        'quiz.next': 'Next bird',
+        'quiz.backToSetup': 'Back to setup',
+        'quiz.stats': 'Accuracy per bird',
+        'quiz.noCategories': 'Pick at least one category with birds in it.',
+        'quiz.findingPhoto': 'Finding a photo...',
+        'quiz.noCachedPhotos': 'No cached photos found for these birds. Turn off offline mode or browse the gallery online first.',
+        'quiz.noPhotos': 'No photos found for these birds.',
+        'quiz.correct': 'Correct: {name}',
+        'quiz.wrong': 'Not quite, it\'s {name}',
+        'quiz.score': '{correct} of {asked} right this round',
+        'quiz.noAnswers': 'No answers yet.',
+
+        'editor.open': 'Edit checklist',
+        'editor.close': 'Close',
+        'editor.heading': 'Edit checklist',
+        'editor.title': 'Title',
+        'editor.description': 'Description',
+        'editor.newCategory': 'New category name',
+        'editor.addCategory': 'Add category',
+        'editor.export': 'Export JSON',
+        'editor.discard': 'Discard edits',
+        'editor.done': 'Show in gallery',
+        'editor.draftSource': 'Edited checklist',
+        'editor.draftSaved': 'Draft saved in this browser.',
+        'editor.draftNotice': 'This gallery shows your edited checklist. Export it to keep a copy, or discard the edits to go back to the original. ',
+        'editor.confirmDiscard': 'Discard all edits to this checklist?',
+        'editor.categoryNameMissing': 'A category needs a name.',
+        'editor.categoryNameReserved': '"{name}" is reserved for checklist settings.',
+        'editor.categoryNameTaken': 'There is already a category called "{name}".',
+        'editor.categoryName': 'Category name',
+        'editor.removeCategory': 'Remove category',
+        'editor.confirmRemoveCategory': 'Remove "{name}" and its {count} bird(s)?',
+        'editor.moveUp': 'Move {name} up',
+        'editor.moveDown': 'Move {name} down',
+        'editor.remove': 'Remove {name}',
+        'editor.commonName': 'Common name',
+        'editor.scientificName': 'Scientific name',
+        'editor.commonNameMissing': 'A bird needs a common name.',
+        'editor.birdToAdd': 'Common name of a bird to add',
+        'editor.addBird': 'Add bird',
+        'editor.alreadyListed': '{name} is already on the checklist.',
+        'editor.lookingUp': 'Looking up the scientific name of {name}...',
+        'editor.added': 'Added {name} ({scientificName}).',
+        'editor.addedOffline': 'Added {name}. Enter its scientific name (lookups are off in offline mode).',
+        'editor.notFound': 'No scientific name found for {name}, please enter it.',
+
+        'curation.pin': 'Pin as main photo',
+        'curation.unpin': 'Unpin',
+        'curation.hide': 'Hide photo',
+        'curation.unhide': 'Show photo again',
+        'curation.showHidden': 'Show hidden photos ({count})',
+        'curation.export': 'Export photo choices',
+        'curation.exportHint': 'Download the pinned and hidden photos as a curation file to keep next to the checklist',
+        'curation.notObject': 'a curation file should be an object but this is {type}',
+        'curation.badEntry': 'should be an object with "pinned" (a URL) and "hidden" (a list of URLs), skipped',
+
+        'fieldGuide.open': 'Print / field guide',
+        'fieldGuide.close': 'Close',
+        'fieldGuide.title': 'Printable checklist and field guide',
+        'fieldGuide.intro': 'Print the birds of this gallery, or download them as a single page with the photos included that opens without a connection. Birds are grouped as in the gallery.',
+        'fieldGuide.layout': 'Layout',
+        'fieldGuide.layoutList': 'Compact checklist with tick boxes',
+        'fieldGuide.layoutCards': 'Cards with photos and credits',
+        'fieldGuide.print': 'Print',
+        'fieldGuide.download': 'Download HTML',
+        'fieldGuide.preparing': 'Preparing the field guide...',
+        'fieldGuide.findingPhotos': 'Finding photos... {done} of {count}',
+        'fieldGuide.embedding': 'Adding photos... {done} of {count}',
+        'fieldGuide.popupBlocked': 'The print window was blocked. Allow pop-ups for this page and try again.',
+        'fieldGuide.printed': 'Opened the print window.',
+        'fieldGuide.downloaded': 'Downloaded {file}.',
+        'fieldGuide.offline': 'Offline mode: birds without a cached photo are shown without one.',
+        'fieldGuide.noPhoto': 'No photo',
+        'fieldGuide.generated': '{count} birds · {date}',
+
+        'compare.toggle': ' Compare',
+        'compare.open': 'Compare ({count})',
+        'compare.pickMore': 'Pick at least {min} birds',
+        'compare.clear': 'Clear',
+        'compare.tooMany': 'You can compare up to {max} birds at once.',
+        'compare.with': 'Compare with {names}',
+        'compare.close': 'Close',
+        'compare.previous': 'Previous photos',
+        'compare.next': 'Next photos',
+        'compare.step': 'Photos {number} of {count}',
+        'compare.save': 'Save as look-alikes',
+        'compare.saveMerged': 'Look-alikes can only be saved while one checklist is shown, not {count} merged ones.',
+        'compare.savedInDraft': 'Saved as look-alikes in your edited checklist in this browser. Export it from "Edit checklist" to keep the change in the checklist file.',
+
+        'details.abundance.common': 'Common',
+        'details.abundance.uncommon': 'Uncommon',
+        'details.abundance.rare': 'Rare',
+        'details.residency.resident': 'Resident',
+        'details.residency.migrant': 'Migrant',
+        'details.residency.visitor': 'Visitor',
+        'details.allYear': 'All year',
+        'details.elevation': '{lowest}–{highest} m',
+        'details.abundanceLabel': 'Abundance',
+        'details.anyAbundance': 'Any abundance',
+        'details.residencyLabel': 'Residency',
+        'details.anyResidency': 'Residents and migrants',
+        'details.monthLabel': 'Month',
+        'details.anyMonth': 'Any month',
+        'details.presentIn': 'Present in {month}',
+        'details.habitatLabel': 'Habitat',
+        'details.anyHabitat': 'Any habitat',
+        'details.sortLabel': 'Sort birds',
+        'details.sort.checklist': 'Checklist order',
+        'details.sort.name': 'By name',
+        'details.sort.abundance': 'Most common first',
+        'details.sort.elevation': 'Lowest elevation first',
+
+        'loadStatus.pending': 'Waiting to load',
+        'loadStatus.loading': 'Loading photos…',
+        'loadStatus.found': 'Photos: {via}',
+        'loadStatus.foundStale': 'Photos: {via} (saved copy, refresh failed)',
+        'loadStatus.none': 'No photos found',
+        'loadStatus.error': 'Failed: {error}',
+        'loadStatus.retry': 'Retry',
+        'loadStatus.via.commons-category': 'Commons category',
+        'loadStatus.via.commons-search': 'Commons search',
+        'loadStatus.via.wikipedia': 'Wikipedia',
+        'loadStatus.via.wikipedia-search': 'Wikipedia search',
+        'loadStatus.via.local': 'Local folder',
+        'loadStatus.via.commons': 'Commons',
+        'diagnostics.open': 'Photo diagnostics',
+        'diagnostics.title': 'Birds without photos',
+        'diagnostics.close': 'Close',
+        'diagnostics.allFine': 'Every bird looked up so far has photos.',
+        'diagnostics.summary': '{count} bird(s) without photos, {errors} of them because of errors. The queries tried are listed under each bird; a wrong or outdated name in the checklist is the usual cause.',
+        'diagnostics.retryAll': 'Retry all',
+        'diagnostics.stepFound': '{count} found',
+        'diagnostics.stepNone': 'nothing found',
+        'diagnostics.stepError': 'failed ({error})'
+    },
+
+    es: {
+        'page.title': 'Aves de Costa Rica',
+        'page.description': 'Explore y descubra las hermosas aves de Costa Rica. Todas las imágenes provienen de Wikipedia cuando están disponibles.',
+        'language.label': 'Idioma: ',
+
+        'gallery.loading': 'Cargando los datos de las aves...',
+        'gallery.loadFailed': 'No se pudieron cargar los datos de las aves. Inténtelo de nuevo más tarde.',
+        'gallery.instructionsPhotos': 'Haga clic en la imagen de un ave para abrir el visor con todas sus fotos y una breve descripción.',
+        'gallery.instructionsNames': 'Haga clic en el nombre de un ave para ver su artículo de Wikipedia.',
+        'gallery.photoCredit': 'Foto: {credit}',
+
+        'offline.toggle': ' Modo sin conexión (solo imágenes guardadas)',
+        'offline.allCached': 'Modo sin conexión: solo se muestran imágenes guardadas.',
+        'offline.missing': 'Modo sin conexión: no hay imágenes guardadas para {missing} de {total} aves: {names}.',
+
+        'checklists.legend': 'Listas',
+        'checklists.errors': 'Se encontraron {count} error(es) en la lista; se omitieron las entradas afectadas.',
+        'checklists.warnings': 'La lista tiene advertencias.',
+        'checklist.notObject': 'una lista debería ser un objeto pero esto es {type}',
+        'checklist.notCategory': 'una categoría debería ser un array de aves pero es {type}',
+        'checklist.notBird': 'un ave debería ser un objeto pero es {type}',
+        'checklist.entry': 'entrada {number}',
+        'checklist.fieldProblem': '"{field}" {problem}',
+        'checklist.unknownField': 'se ignoró el campo desconocido "{field}"',
+        'checklist.detailIgnored': '"{field}" {problem}, se ignoró el campo',
+        'checklist.missing': 'falta',
+        'checklist.empty': 'está vacío',
+        'checklist.wrongType': 'debería ser {expected} pero es {actual}',
+        'checklist.confusionPairs': 'debería ser una lista de grupos, cada uno de {min} a {max} nombres de aves',
+        'checklist.notOneOf': 'debería ser uno de estos valores: {choices}',
+        'checklist.months': 'debería ser una lista de números de mes del 1 al 12',
+        'checklist.elevation': 'debería ser [mínima, máxima] en metros',
+        'checklist.stringList': 'debería ser una lista de textos',
+        'checklist.countryCode': 'debería ser un código de país de dos letras como "CR"',
+        'checklist.loadFailed': '{file}: no se pudo cargar ({error})',
+        'checklist.type.array': 'un array',
+        'checklist.type.null': 'null',
+        'checklist.type.string': 'un texto',
+        'checklist.type.number': 'un número',
+        'checklist.type.object': 'un objeto',
+        'checklist.type.boolean': 'un booleano',
+
+        'filter.placeholder': 'Filtrar aves por nombre común o científico...',
+        'filter.allCategories': 'Todas',
+        'filter.count': '{shown} de {total} aves',
+
+        'view.label': 'Agrupar aves: ',
+        'view.checklist': 'Categorías de la lista',
+        'view.taxonomic': 'Orden taxonómico',
+        'view.family': 'Orden y familia (A–Z)',
+        'view.alphabetical': 'A–Z',
+        'view.familyUnknown': 'Familia desconocida',
+
+        'sightings.markAsSeen': 'Marcar como vista',
+        'sightings.seenOn': '✓ Vista el {date}',
+        'sightings.seenTimes': '✓ Vista {count} veces, la última el {date}',
+        'sightings.clickToEdit': 'Haga clic para añadir o quitar avistamientos',
+        'sightings.recordHint': 'Anotar que vio esta ave',
+        'sightings.date': 'Fecha',
+        'sightings.place': 'Lugar',
+        'sightings.notes': 'Notas',
+        'sightings.save': 'Guardar',
+        'sightings.cancel': 'Cancelar',
+        'sightings.remove': 'Quitar',
+        'sightings.categoryCount': '{seen} de {total} vistas',
+        'sightings.total': 'Vistas {seen} de {total} aves',
+        'sightings.filterAll': 'Todas las aves',
+        'sightings.filterSeen': 'Vistas',
+        'sightings.filterUnseen': 'Aún no vistas',
+        'sightings.exportCsv': 'Exportar CSV',
+        'sightings.exportEbird': 'Exportar para eBird',
+        'sightings.importCsv': 'Importar CSV',
+        'sightings.imported': 'Se importaron {count} avistamiento(s), {skipped} ya estaban anotados.',
+
+        'lightbox.close': 'Cerrar',
+        'lightbox.previous': 'Foto anterior',
+        'lightbox.next': 'Foto siguiente',
+        'lightbox.readMore': 'Leer más en Wikipedia',
+        'lightbox.noPhotos': 'No se encontraron fotos',
+        'lightbox.counter': '{number} de {count}',
+        'lightbox.photoAlt': '{name} ({number} de {count})',
+        'lightbox.thumbAlt': '{name}, foto {number}',
+        'lightbox.offline': 'La descripción no está disponible en modo sin conexión.',
+        'lightbox.loading': 'Cargando la descripción...',
+        'lightbox.noDescription': 'No se encontró una descripción.',
+
+        'audio.looking': 'Buscando grabaciones',
+        'audio.none': '♪ Sin grabaciones',
+        'audio.noneHint': 'No se encontraron grabaciones de esta ave',
+        'audio.countOne': '▶ 1 grabación',
+        'audio.countOther': '▶ {count} grabaciones',
+        'audio.playing': '■ {number} de {count}',
+        'audio.stop': 'Detener',
+        'audio.playNext': 'Reproducir la siguiente grabación',
+        'audio.credit': 'Grabación: {credit}',
+        'audio.failed': 'No se pudo reproducir esta grabación.',
+        'audio.offline': '♪ Sin conexión',
+        'audio.offlineHint': 'Las grabaciones se reproducen desde Wikimedia Commons, así que no están disponibles en modo sin conexión',
+
+        'quiz.open': 'Ponerme a prueba',
+        'quiz.close': 'Cerrar',
+        'quiz.title': 'Prueba de identificación',
+        'quiz.categories': 'Categorías',
+        'quiz.answerBy': 'Responder',
+        'quiz.multipleChoice': 'Con opciones',
+        'quiz.typed': 'Escribiendo el nombre',
+        'quiz.start': 'Empezar',
+        'quiz.imageAlt': '¿Qué ave es esta?',
+        'quiz.answerPlaceholder': 'Nombre común',
+        'quiz.check': 'Comprobar',
+        'quiz.next': 'Siguiente ave',
+        'quiz.backToSetup': 'Volver a la configuración',
+        'quiz.stats': 'Aciertos por ave',
+        'quiz.noCategories': 'Elija al menos una categoría con aves.',
+        'quiz.findingPhoto': 'Buscando una foto...',
+        'quiz.noCachedPhotos': 'No hay fotos guardadas de estas aves. Desactive el modo sin conexión o recorra antes la galería con conexión.',
+        'quiz.noPhotos': 'No se encontraron fotos de estas aves.',
+        'quiz.correct': 'Correcto: {name}',
+        'quiz.wrong': 'No exactamente, es {name}',
+        'quiz.score': '{correct} de {asked} aciertos en esta ronda',
+        'quiz.noAnswers': 'Todavía no hay respuestas.',
+
+        'editor.open': 'Editar lista',
+        'editor.close': 'Cerrar',
+        'editor.heading': 'Editar lista',
+        'editor.title': 'Título',
+        'editor.description': 'Descripción',
+        'editor.newCategory': 'Nombre de la nueva categoría',
+        'editor.addCategory': 'Añadir categoría',
+        'editor.export': 'Exportar JSON',
+        'editor.discard': 'Descartar cambios',
+        'editor.done': 'Ver en la galería',
+        'editor.draftSource': 'Lista editada',
+        'editor.draftSaved': 'Borrador guardado en este navegador.',
+        'editor.draftNotice': 'Esta galería muestra su lista editada. Expórtela para guardar una copia, o descarte los cambios para volver a la original. ',
+        'editor.confirmDiscard': '¿Descartar todos los cambios de esta lista?',
+        'editor.categoryNameMissing': 'Una categoría necesita un nombre.',
+        'editor.categoryNameReserved': '"{name}" está reservado para la configuración de la lista.',
+        'editor.categoryNameTaken': 'Ya existe una categoría llamada "{name}".',
+        'editor.categoryName': 'Nombre de la categoría',
+        'editor.removeCategory': 'Quitar categoría',
+        'editor.confirmRemoveCategory': '¿Quitar "{name}" y sus {count} ave(s)?',
+        'editor.moveUp': 'Subir {name}',
+        'editor.moveDown': 'Bajar {name}',
+        'editor.remove': 'Quitar {name}',
+        'editor.commonName': 'Nombre común',
+        'editor.scientificName': 'Nombre científico',
+        'editor.commonNameMissing': 'Un ave necesita un nombre común.',
+        'editor.birdToAdd': 'Nombre común (en inglés) del ave a añadir',
+        'editor.addBird': 'Añadir ave',
+        'editor.alreadyListed': '{name} ya está en la lista.',
+        'editor.lookingUp': 'Buscando el nombre científico de {name}...',
+        'editor.added': 'Se añadió {name} ({scientificName}).',
+        'editor.addedOffline': 'Se añadió {name}. Escriba su nombre científico (las búsquedas no funcionan sin conexión).',
+        'editor.notFound': 'No se encontró el nombre científico de {name}; escríbalo usted.',
+
+        'curation.pin': 'Fijar como foto principal',
+        'curation.unpin': 'Dejar de fijar',
+        'curation.hide': 'Ocultar foto',
+        'curation.unhide': 'Volver a mostrar',
+        'curation.showHidden': 'Mostrar fotos ocultas ({count})',
+        'curation.export': 'Exportar selección de fotos',
+        'curation.exportHint': 'Descargar las fotos fijadas y ocultas como archivo de selección para guardarlo junto a la lista',
+        'curation.notObject': 'un archivo de selección debería ser un objeto pero esto es {type}',
+        'curation.badEntry': 'debería ser un objeto con "pinned" (una URL) y "hidden" (una lista de URL); se omite',
+
+        'fieldGuide.open': 'Imprimir / guía de campo',
+        'fieldGuide.close': 'Cerrar',
+        'fieldGuide.title': 'Lista imprimible y guía de campo',
+        'fieldGuide.intro': 'Imprima las aves de esta galería, o descárguelas en una sola página con las fotos incluidas que se abre sin conexión. Las aves se agrupan como en la galería.',
+        'fieldGuide.layout': 'Formato',
+        'fieldGuide.layoutList': 'Lista compacta con casillas',
+        'fieldGuide.layoutCards': 'Fichas con fotos y créditos',
+        'fieldGuide.print': 'Imprimir',
+        'fieldGuide.download': 'Descargar HTML',
+        'fieldGuide.preparing': 'Preparando la guía de campo...',
+        'fieldGuide.findingPhotos': 'Buscando fotos... {done} de {count}',
+        'fieldGuide.embedding': 'Añadiendo fotos... {done} de {count}',
+        'fieldGuide.popupBlocked': 'Se bloqueó la ventana de impresión. Permita las ventanas emergentes para esta página e inténtelo de nuevo.',
+        'fieldGuide.printed': 'Se abrió la ventana de impresión.',
+        'fieldGuide.downloaded': 'Se descargó {file}.',
+        'fieldGuide.offline': 'Modo sin conexión: las aves sin foto guardada aparecen sin foto.',
+        'fieldGuide.noPhoto': 'Sin foto',
+        'fieldGuide.generated': '{count} aves · {date}',
+
+        'compare.toggle': ' Comparar',
+        'compare.open': 'Comparar ({count})',
+        'compare.pickMore': 'Elija al menos {min} aves',
+        'compare.clear': 'Quitar selección',
+        'compare.tooMany': 'Puede comparar hasta {max} aves a la vez.',
+        'compare.with': 'Comparar con {names}',
+        'compare.close': 'Cerrar',
+        'compare.previous': 'Fotos anteriores',
+        'compare.next': 'Fotos siguientes',
+        'compare.step': 'Fotos {number} de {count}',
+        'compare.save': 'Guardar como aves parecidas',
+        'compare.saveMerged': 'Las aves parecidas solo se pueden guardar con una lista a la vista, no con {count} listas combinadas.',
+        'compare.savedInDraft': 'Guardadas como aves parecidas en su lista editada en este navegador. Expórtela desde "Editar lista" para conservar el cambio en el archivo de la lista.',
+
+        'details.abundance.common': 'Común',
+        'details.abundance.uncommon': 'Poco común',
+        'details.abundance.rare': 'Rara',
+        'details.residency.resident': 'Residente',
+        'details.residency.migrant': 'Migratoria',
+        'details.residency.visitor': 'Visitante',
+        'details.allYear': 'Todo el año',
+        'details.elevation': '{lowest}–{highest} m',
+        'details.abundanceLabel': 'Abundancia',
+        'details.anyAbundance': 'Cualquier abundancia',
+        'details.residencyLabel': 'Residencia',
+        'details.anyResidency': 'Residentes y migratorias',
+        'details.monthLabel': 'Mes',
+        'details.anyMonth': 'Cualquier mes',
+        'details.presentIn': 'Presentes en {month}',
+        'details.habitatLabel': 'Hábitat',
+        'details.anyHabitat': 'Cualquier hábitat',
+        'details.sortLabel': 'Ordenar aves',
+        'details.sort.checklist': 'Orden de la lista',
+        'details.sort.name': 'Por nombre',
+        'details.sort.abundance': 'Más comunes primero',
+        'details.sort.elevation': 'Menor altitud primero',
+
+        'loadStatus.pending': 'En espera',
+        'loadStatus.loading': 'Cargando fotos…',
+        'loadStatus.found': 'Fotos: {via}',
+        'loadStatus.foundStale': 'Fotos: {via} (copia guardada, no se pudo actualizar)',
+        'loadStatus.none': 'No se encontraron fotos',
+        'loadStatus.error': 'Error: {error}',
+        'loadStatus.retry': 'Reintentar',
+        'loadStatus.via.commons-category': 'categoría de Commons',
+        'loadStatus.via.commons-search': 'búsqueda en Commons',
+        'loadStatus.via.wikipedia': 'Wikipedia',
+        'loadStatus.via.wikipedia-search': 'búsqueda en Wikipedia',
+        'loadStatus.via.local': 'carpeta local',
+        'loadStatus.via.commons': 'Commons',
+        'diagnostics.open': 'Diagnóstico de fotos',
+        'diagnostics.title': 'Aves sin fotos',
+        'diagnostics.close': 'Cerrar',
+        'diagnostics.allFine': 'Todas las aves buscadas hasta ahora tienen fotos.',
+        'diagnostics.summary': '{count} ave(s) sin fotos, {errors} de ellas por errores. Bajo cada ave se listan las consultas intentadas; la causa habitual es un nombre incorrecto o desactualizado en la lista.',
+        'diagnostics.retryAll': 'Reintentar todas',
+        'diagnostics.stepFound': '{count} encontradas',
+        'diagnostics.stepNone': 'nada encontrado',
+        'diagnostics.stepError': 'falló ({error})'
+    }
+};
+
+/**
+ * Picks the language: ?lang= first, then the one chosen before, then the browser's
+ * English outside the browser
+ *
+ * @returns {string} - One of the UI_LANGUAGES keys
+ */
+function readLanguage() {
+    // Outside the browser (build-manifest.js) there is no choice to read
+    if (typeof window === 'undefined') {
+        return DEFAULT_LANGUAGE;
+    }
+
+    const candidates = [
+        new URLSearchParams(window.location.search).get('lang'),
+        localStorage.getItem(LANGUAGE_STORAGE_KEY),
+        (navigator.language || '').split('-')[0]
+    ];
+    return candidates.find(language => UI_LANGUAGES[language]) || DEFAULT_LANGUAGE;
+}
+
+// Language of the page, fixed for the page's lifetime (switching reloads)
+const currentLanguage = readLanguage();
+
+/**
+ * Looks up a UI message in the current language
+ *
+ * @param {string} key - Message key, e.g. 'filter.count'
+ * @param {Object} params - Values for the message's {placeholders}
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    const catalog = MESSAGES[currentLanguage] || {};
+    const message = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+
+    if (message === undefined) {
+        console.error(`Missing message: ${key}`);
+        return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined ? String(params[name]) : placeholder);
+}
+
+/**
+ * Switches the page to another language
+ * The page is reloaded, since much of the UI is built once at start-up
+ *
+ * @param {string} language - One of the UI_LANGUAGES keys
+ */
+function setLanguage(language) {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+
+    const params = new URLSearchParams(window.location.search);
+    if (language === DEFAULT_LANGUAGE) {
+        params.delete('lang');
+    } else {
+        params.set('lang', language);
+    }
+
+    const query = params.toString();
+    window.location.assign(`${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+/**
+ * Translates the static text in index.html (elements with data-i18n="key")
+ */
+function translateStaticText() {
+    document.documentElement.lang = currentLanguage;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+}
+
+/**
+ * Reads the species names cache
+ *
+ * @returns {Object} - { [scientific name]: { [language]: { label, article, fetchedAt } } }
+ */
+function loadSpeciesNamesCache() {
+    try {
+        return JSON.parse(localStorage.getItem(SPECIES_NAMES_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading species names cache:', error);
+        return {};
+    }
+}
+
+/**
+ * Writes the species names cache
+ *
+ * @param {Object} cache - { [scientific name]: { [language]: { label, article, fetchedAt } } }
+ */
+function saveSpeciesNamesCache(cache) {
+    localStorage.setItem(SPECIES_NAMES_STORAGE_KEY, JSON.stringify(cache));
+}
+
+/**
+ * Looks up each species' name and Wikipedia article in one language on Wikidata
+ *
+ * @param {Array} scientificNames - Scientific names to resolve
+ * @param {string} language - Language code, e.g. 'es'
+ * @returns {Promise<Object>} - { [scientific name]: { label, article } }, either may be missing
+ */
+async function fetchSpeciesNamesFromWikidata(scientificNames, language) {
+    const nameValues = scientificNames
+        .map(name => JSON.stringify(name))
+        .join(' ');
+
+    const query = `SELECT ?name ?label ?article WHERE {
+        VALUES ?name { ${nameValues} }
+        ?taxon wdt:P225 ?name .
+        OPTIONAL { ?taxon rdfs:label ?label . FILTER(LANG(?label) = "${language}") }
+        OPTIONAL { ?article schema:about ?taxon ; schema:isPartOf <https://${language}.wikipedia.org/> . }
+    }`;
+
+    const response = await fetchWithRetry(`${wikidataSparqlUrl()}?query=${encodeURIComponent(query)}&format=json`, {
+        headers: { Accept: 'application/sparql-results+json' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Wikidata query failed: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const names = {};
+    scientificNames.forEach(name => {
+        names[name] = {};
+    });
+
+    for (const binding of data.results.bindings) {
+        const entry = names[binding.name.value];
+        if (!entry) {
+            continue;
+        }
+        if (binding.label && !entry.label) {
+            entry.label = binding.label.value;
+        }
+        if (binding.article && !entry.article) {
+            entry.article = binding.article.value;
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Resolves species names in a language, from the cache where possible
+ * Missing or expired names are fetched unless offline; failures leave them out
+ *
+ * @param {Array} scientificNames - Scientific names to resolve
+ * @param {string} language - Language code
+ * @returns {Promise<Object>} - { [scientific name]: { label, article } }
+ */
+async function resolveSpeciesNames(scientificNames, language) {
+    const cache = loadSpeciesNamesCache();
+    const now = Date.now();
+    const missing = scientificNames.filter(name => {
+        const cached = cache[name] && cache[name][language];
+        return !cached || now - cached.fetchedAt > SPECIES_NAMES_TTL_MS;
+    });
+
+    if (missing.length > 0 && !isOfflineMode()) {
+        for (let start = 0; start < missing.length; start += TAXONOMY_BATCH_SIZE) {
+            try {
+                const batch = await fetchSpeciesNamesFromWikidata(missing.slice(start, start + TAXONOMY_BATCH_SIZE), language);
+                for (const [name, entry] of Object.entries(batch)) {
+                    cache[name] = { ...cache[name], [language]: { ...entry, fetchedAt: now } };
+                }
+            } catch (error) {
+                console.error('Error resolving species names:', error);
+            }
+        }
+        saveSpeciesNamesCache(cache);
+    }
+
+    const names = {};
+    for (const name of scientificNames) {
+        names[name] = (cache[name] && cache[name][language]) || {};
+    }
+    return names;
+}
+
+/**
+ * Capitalizes a Wikidata label, which are usually lower case ("pelícano pardo")
+ *
+ * @param {string} label
+ * @returns {string}
+ */
+function capitalizeLabel(label) {
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * A bird's name in the current language, the checklist's common name if there is none
+ *
+ * @param {Object} bird - Bird entry
+ * @param {Object} cache - Species names cache, read from localStorage if not given
+ * @returns {string}
+ */
+function localSpeciesName(bird, cache = loadSpeciesNamesCache()) {
+    if (currentLanguage === DEFAULT_LANGUAGE || !bird.scientific_name) {
+        return bird.common_name;
+    }
+
+    const cached = cache[bird.scientific_name];
+    const entry = cached && cached[currentLanguage];
+    return entry && entry.label ? capitalizeLabel(entry.label) : bird.common_name;
+}
+
+/**
+ * Link to a bird's article on the current language's Wikipedia
+ * Until the article (Wikidata sitelink) is known, or when there is none, the
+ * link searches that Wikipedia for the scientific name, which goes straight
+ * to the article when one has that title or redirect
+ *
+ * @param {Object} bird - Bird entry
+ * @param {Object} cache - Species names cache, read from localStorage if not given
+ * @returns {string} - Article or search URL
+ */
+function localWikipediaUrl(bird, cache = loadSpeciesNamesCache()) {
+    if (currentLanguage === DEFAULT_LANGUAGE) {
+        return `https://en.wikipedia.org/wiki/${bird.common_name.replace(/ /g, '_')}`;
+    }
+
+    const cached = bird.scientific_name && cache[bird.scientific_name];
+    const entry = cached && cached[currentLanguage];
+    if (entry && entry.article) {
+        return entry.article;
+    }
+
+    const search = encodeURIComponent(bird.scientific_name || bird.common_name);
+    return `https://${currentLanguage}.wikipedia.org/w/index.php?search=${search}`;
+}
+
+/**
+ * All names a bird is known by in the languages looked up so far
+ *
+ * @param {string} scientificName - Scientific name of the bird
+ * @param {Object} cache - Species names cache, read from localStorage if not given
+ * @returns {Array} - Names, possibly empty
+ */
+function speciesNamesInAllLanguages(scientificName, cache = loadSpeciesNamesCache()) {
+    const cached = scientificName && cache[scientificName];
+    if (!cached) {
+        return [];
+    }
+    return Object.values(cached)
+        .map(entry => entry.label)
+        .filter(Boolean);
+}
+
+/**
+ * Shows the cards' species names and Wikipedia links in the current language
+ * English names stay in data-common-name, which caches and sightings are keyed by.
+ * Cards keep the search link from localWikipediaUrl() when no article is found
+ *
+ * @param {Array} cards - Bird card elements
+ */
+async function localizeCards(cards) {
+    const scientificNames = cards
+        .map(card => card.dataset.scientificName)
+        .filter(Boolean);
+
+    const names = currentLanguage === DEFAULT_LANGUAGE
+        ? {}
+        : await resolveSpeciesNames(scientificNames, currentLanguage);
+
+    // Read once for all cards rather than once per card
+    const cache = loadSpeciesNamesCache();
+    for (const card of cards) {
+        const scientificName = card.dataset.scientificName;
+        card._localNames = speciesNamesInAllLanguages(scientificName, cache);
+
+        const entry = names[scientificName];
+        if (!entry) {
+            continue;
+        }
+
+        const link = card.querySelector('.bird-name');
+        if (entry.label) {
+            link.textContent = capitalizeLabel(entry.label);
+            link.title = card.dataset.commonName;
+            card.querySelector('img').alt = link.textContent;
+        }
+        if (entry.article) {
+            link.href = entry.article;
+        }
+    }
+}
+
+// Shared with the manifest builder (build-manifest.js), which runs under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { t };
+}
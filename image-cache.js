@@ -0,0 +1,240 @@
+/**
+ * IMAGE CACHE
+ *
+ * Stores the resolved image lists for each bird in IndexedDB, keyed by
+ * scientific name, so the gallery can render immediately on the next visit.
+ * Where the image host allows cross-origin reads, the image bytes are stored
+ * too, which lets the gallery work with no connection at all (offline mode).
+ */
+
+const IMAGE_CACHE_DB_NAME = 'birds-image-cache';
+const IMAGE_CACHE_DB_VERSION = 1;
+const IMAGE_CACHE_LOOKUP_STORE = 'lookups';
+const IMAGE_CACHE_BLOB_STORE = 'blobs';
+
+// Cached lookups older than this are shown, then refreshed in the background
+const IMAGE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Bumped whenever the shape of cached image objects changes, older entries count as stale
+const IMAGE_CACHE_ENTRY_FORMAT = 3;
+
+// Only the first few images of each bird have their bytes stored
+const IMAGE_CACHE_MAX_BLOBS_PER_BIRD = 3;
+
+const OFFLINE_MODE_STORAGE_KEY = 'birds.offlineMode';
+
+let imageCacheDbPromise = null;
+
+// Object URLs made for cached image bytes, keyed by the image's own URL
+// One per image for the life of the page, so rebuilding the gallery doesn't pile up new ones
+const cachedObjectUrls = new Map();
+
+/**
+ * Opens (and creates on first use) the IndexedDB database
+ * Resolves to null when IndexedDB is unavailable so callers can carry on uncached
+ *
+ * @returns {Promise<IDBDatabase|null>} - The open database, or null
+ */
+function openImageCache() {
+    if (imageCacheDbPromise) {
+        return imageCacheDbPromise;
+    }
+
+    imageCacheDbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(IMAGE_CACHE_DB_NAME, IMAGE_CACHE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IMAGE_CACHE_LOOKUP_STORE)) {
+                db.createObjectStore(IMAGE_CACHE_LOOKUP_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(IMAGE_CACHE_BLOB_STORE)) {
+                db.createObjectStore(IMAGE_CACHE_BLOB_STORE, { keyPath: 'url' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('Could not open image cache:', request.error);
+            resolve(null);
+        };
+    });
+
+    return imageCacheDbPromise;
+}
+
+/**
+ * Runs a single request against one object store and resolves with its result
+ *
+ * @param {string} storeName - Object store to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} - The request result, or null if the cache is unavailable
+ */
+async function runImageCacheRequest(storeName, mode, makeRequest) {
+    const db = await openImageCache();
+    if (!db) {
+        return null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Builds the cache key for a bird
+ * Scientific names are preferred; birds without one fall back to the common name
+ *
+ * @param {string} commonName - Common name of the bird
+ * @param {string} scientificName - Scientific name of the bird
+ * @returns {string} - The cache key
+ */
+function imageCacheKey(commonName, scientificName) {
+    return (scientificName || commonName).trim().toLowerCase();
+}
+
+/**
+ * Reads the cached image list for a bird
+ * Entries found with a different provider config or in an older format count as stale
+ *
+ * @param {string} key - Cache key from imageCacheKey()
+ * @param {string} providerSignature - Signature of the current provider config
+ * @returns {Promise<Object|null>} - { images, fetchedAt, stale } or null when not cached
+ */
+async function getCachedImages(key, providerSignature) {
+    try {
+        const entry = await runImageCacheRequest(IMAGE_CACHE_LOOKUP_STORE, 'readonly',
+            store => store.get(key));
+
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            images: entry.images,
+            fetchedAt: entry.fetchedAt,
+            stale: Date.now() - entry.fetchedAt > IMAGE_CACHE_TTL_MS ||
+                entry.providerSignature !== providerSignature ||
+                entry.format !== IMAGE_CACHE_ENTRY_FORMAT
+        };
+    } catch (error) {
+        console.error(`Error reading image cache for ${key}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Stores the resolved image list for a bird
+ *
+ * @param {string} key - Cache key from imageCacheKey()
+ * @param {Array} images - Array of image objects
+ * @param {string} providerSignature - Signature of the provider config that found them
+ */
+async function putCachedImages(key, images, providerSignature) {
+    try {
+        await runImageCacheRequest(IMAGE_CACHE_LOOKUP_STORE, 'readwrite',
+            store => store.put({
+                key,
+                images,
+                providerSignature,
+                format: IMAGE_CACHE_ENTRY_FORMAT,
+                fetchedAt: Date.now()
+            }));
+    } catch (error) {
+        console.error(`Error writing image cache for ${key}:`, error);
+    }
+}
+
+/**
+ * Downloads and stores the bytes of the first few images in a list
+ * Hosts that don't allow cross-origin reads are skipped silently
+ *
+ * @param {Array} images - Array of image objects
+ */
+async function cacheImageBytes(images) {
+    for (const image of images.slice(0, IMAGE_CACHE_MAX_BLOBS_PER_BIRD)) {
+        try {
+            const existing = await runImageCacheRequest(IMAGE_CACHE_BLOB_STORE, 'readonly',
+                store => store.getKey(image.url));
+            if (existing) {
+                continue;
+            }
+
+            const response = await fetch(image.url, { mode: 'cors' });
+            if (!response.ok) {
+                continue;
+            }
+
+            const blob = await response.blob();
+            await runImageCacheRequest(IMAGE_CACHE_BLOB_STORE, 'readwrite',
+                store => store.put({ url: image.url, blob, fetchedAt: Date.now() }));
+        } catch (error) {
+            console.log(`Could not cache image bytes for ${image.url}`);
+        }
+    }
+}
+
+/**
+ * Swaps image URLs for local object URLs wherever the bytes are cached
+ * The original URL is kept as sourceUrl; each image gets one object URL,
+ * reused on later calls. In offline mode images without cached bytes are
+ * left out, so nothing is loaded from the network
+ *
+ * @param {Array} images - Array of image objects
+ * @returns {Promise<Array>} - Copy of the array with local URLs where available
+ */
+async function withCachedImageBytes(images) {
+    const resolved = [];
+
+    for (const image of images) {
+        if (cachedObjectUrls.has(image.url)) {
+            resolved.push({ ...image, url: cachedObjectUrls.get(image.url), sourceUrl: image.url });
+            continue;
+        }
+
+        let entry = null;
+        try {
+            entry = await runImageCacheRequest(IMAGE_CACHE_BLOB_STORE, 'readonly',
+                store => store.get(image.url));
+        } catch (error) {
+            console.error(`Error reading cached bytes for ${image.url}:`, error);
+        }
+
+        if (entry && entry.blob) {
+            cachedObjectUrls.set(image.url, URL.createObjectURL(entry.blob));
+            resolved.push({ ...image, url: cachedObjectUrls.get(image.url), sourceUrl: image.url });
+        } else if (!isOfflineMode()) {
+            resolved.push(image);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Whether offline mode is switched on
+ * In offline mode only cached data is used and the network is never touched
+ *
+ * @returns {boolean}
+ */
+function isOfflineMode() {
+    return localStorage.getItem(OFFLINE_MODE_STORAGE_KEY) === 'true';
+}
+
+/**
+ * Switches offline mode on or off (remembered across reloads)
+ *
+ * @param {boolean} enabled - Whether offline mode should be on
+ */
+function setOfflineMode(enabled) {
+    localStorage.setItem(OFFLINE_MODE_STORAGE_KEY, enabled ? 'true' : 'false');
+}
@@ -0,0 +1,97 @@
+/**
+ * IMAGE LOADER
+ *
+ * Loads card images as the cards scroll into view instead of walking the
+ * whole checklist in order. Cards join a queue when they become visible and a
+ * few of them are loaded at once. Cards hidden by the filter drop to the back
+ * of the queue so the ones on screen are always served first.
+ */
+
+// How many cards are looked up at the same time
+const IMAGE_LOADER_CONCURRENCY = 3;
+
+// Start loading a little before a card actually scrolls into view
+const IMAGE_LOADER_ROOT_MARGIN = '200px';
+
+/**
+ * Creates a loader queue for a set of cards
+ *
+ * @param {Function} loadCard - Async function that loads the images for one card
+ * @param {number} concurrency - Maximum number of cards loading at once
+ * @returns {Object} - { observe(card), stop() }
+ */
+function createImageLoader(loadCard, concurrency = IMAGE_LOADER_CONCURRENCY) {
+    const queue = [];
+    const seen = new Set();
+    let active = 0;
+    let stopped = false;
+
+    /**
+     * Takes the next card to load, preferring cards the filter is showing
+     */
+    function takeNext() {
+        let index = queue.findIndex(card => card.style.display !== 'none');
+        if (index === -1) {
+            index = 0;
+        }
+        return queue.splice(index, 1)[0];
+    }
+
+    /**
+     * Starts loading queued cards until the concurrency limit is reached
+     */
+    function pump() {
+        while (!stopped && active < concurrency && queue.length > 0) {
+            const card = takeNext();
+            active++;
+
+            loadCard(card)
+                .catch(error => console.error(`Error loading images for ${card.dataset.commonName}:`, error))
+                .finally(() => {
+                    active--;
+                    pump();
+                });
+        }
+    }
+
+    /**
+     * Queues a card (once) for loading
+     */
+    function enqueue(card) {
+        if (stopped || seen.has(card)) {
+            return;
+        }
+        seen.add(card);
+        queue.push(card);
+        pump();
+    }
+
+    // Without IntersectionObserver every card is simply queued in order
+    const observer = typeof IntersectionObserver === 'undefined' ? null :
+        new IntersectionObserver(entries => {
+            for (const entry of entries) {
+                if (entry.isIntersecting) {
+                    observer.unobserve(entry.target);
+                    enqueue(entry.target);
+                }
+            }
+        }, { rootMargin: IMAGE_LOADER_ROOT_MARGIN });
+
+    return {
+        observe(card) {
+            if (observer) {
+                observer.observe(card);
+            } else {
+                enqueue(card);
+            }
+        },
+
+        stop() {
+            stopped = true;
+            queue.length = 0;
+            if (observer) {
+                observer.disconnect();
+            }
+        }
+    };
+}
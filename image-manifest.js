@@ -0,0 +1,115 @@
+/**
+ * IMAGE MANIFEST
+ *
+ * A manifest lists the images found for each bird of a checklist ahead of
+ * time, so the gallery can show them without looking anything up. It is
+ * written by build-manifest.js and kept next to the checklist, e.g.
+ * birds_of_costa_rica.manifest.json for birds_of_costa_rica.json:
+ *
+ *   {
+ *     "generated_at": "2026-10-19T12:00:00.000Z",
+ *     "image_providers": [{ "type": "commons" }, { "type": "wikipedia" }],
+ *     "birds": {
+ *       "ara macao": {
+ *         "common_name": "Scarlet Macaw",
+ *         "scientific_name": "Ara macao",
+ *         "images": [{ "url": "...", "link": "...", "attribution": { ... }, "source": "commons" }]
+ *       }
+ *     }
+ *   }
+ *
+ * Keys are bird keys (see checklistBirdKey). Birds missing from the manifest
+ * are looked up live as before.
+ */
+
+// Appended to a checklist's name (without .json) to find its manifest
+const IMAGE_MANIFEST_FILE_SUFFIX = '.manifest.json';
+
+// Images listed in the manifests of the checklists shown: { [bird key]: images }
+let imageManifest = {};
+
+/**
+ * Name of the manifest that goes with a checklist file
+ *
+ * @param {string} checklistFile - e.g. "birds_of_costa_rica.json"
+ * @returns {string} - e.g. "birds_of_costa_rica.manifest.json"
+ */
+function imageManifestFileName(checklistFile) {
+    return checklistFile.replace(/\.json$/i, '') + IMAGE_MANIFEST_FILE_SUFFIX;
+}
+
+/**
+ * Loads the manifests that go with the checklists shown
+ * A checklist without a manifest is fine; for birds in several manifests
+ * the first checklist's images are used
+ *
+ * @param {Array} files - Checklist file names
+ */
+async function loadImageManifests(files) {
+    imageManifest = {};
+
+    for (const file of files) {
+        const manifestFile = imageManifestFileName(file);
+        let data;
+        try {
+            const response = await fetch(manifestFile);
+            if (!response.ok) {
+                continue; // Most checklists don't have one
+            }
+            data = await response.json();
+        } catch (error) {
+            console.log(`No image manifest loaded for ${file}:`, error.message);
+            continue;
+        }
+
+        if (!data || typeof data.birds !== 'object') {
+            console.error(`Image manifest ${manifestFile} has no "birds" object, ignored`);
+            continue;
+        }
+
+        for (const [key, entry] of Object.entries(data.birds)) {
+            const images = entry && Array.isArray(entry.images)
+                ? entry.images.filter(image => image && typeof image.url === 'string')
+                : [];
+            if (images.length > 0 && !imageManifest[key]) {
+                imageManifest[key] = images;
+            }
+        }
+    }
+}
+
+/**
+ * Images the manifest lists for a bird
+ *
+ * @param {string} key - Bird key
+ * @returns {Array|null} - Image information objects, null when the bird isn't listed
+ */
+function getManifestImages(key) {
+    return imageManifest[key] || null;
+}
+
+/**
+ * Shows the manifest's images on the cards it lists
+ *
+ * @param {Array} cards - Bird card elements
+ * @returns {Array} - Cards the manifest doesn't list, which still need a lookup
+ */
+function showManifestImages(cards) {
+    const missing = [];
+
+    for (const card of cards) {
+        const images = getManifestImages(cardBirdKey(card));
+        if (images) {
+            setCardImages(card, images);
+        } else {
+            missing.push(card);
+        }
+    }
+
+    return missing;
+}
+
+// Shared with the manifest builder (build-manifest.js), which runs under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { imageManifestFileName };
+}
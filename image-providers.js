@@ -0,0 +1,779 @@
+/**
+ * IMAGE PROVIDERS
+ *
+ * Bird images are looked up through an ordered list of providers. Each provider
+ * is an object with a name and an async fetchImages(bird, trace) method that
+ * resolves to an array of image objects ({ url, link }, optionally originalUrl
+ * for a larger version and attribution for the photo credit), empty when it
+ * has nothing. The first provider that returns images wins.
+ *
+ * Each lookup notes the queries it tried in a trace ({ steps: [] }, see
+ * tracedQuery), and each image found is tagged with the provider (source)
+ * and the kind of query (via) that found it, for the load status on the
+ * cards (see load-status.js).
+ *
+ * The built-in providers are Wikimedia Commons, the Wikipedia summary API and
+ * a local folder of photos. Their order and endpoints come from the
+ * "image_providers" list in config.js (window.BIRD_GRID_CONFIG) or in the
+ * checklist JSON, in that order of precedence, e.g.
+ *
+ *   "image_providers": [
+ *     { "type": "local", "base_url": "images/" },
+ *     { "type": "commons", "api_url": "http://localhost:9000/w/api.php" }
+ *   ]
+ *
+ * Recordings of calls and songs (see audio.js) come from the same Commons
+ * species categories, using the commons provider's endpoint.
+ *
+ * The manifest builder (build-manifest.js) loads this file under Node to run
+ * the same lookups ahead of time, so it must not rely on the page or the DOM.
+ */
+
+const COMMONS_API_URL = 'https://commons.wikimedia.org/w/api.php';
+const WIKIPEDIA_API_URL = 'https://en.wikipedia.org/w/api.php';
+const WIKIPEDIA_REST_URL = 'https://en.wikipedia.org/api/rest_v1';
+const LOCAL_IMAGES_BASE_URL = 'images/';
+
+// Commons lookups: files fetched per request, pages followed, images kept, thumbnail width and recordings kept
+const COMMONS_BATCH_SIZE = 50;
+const COMMONS_MAX_PAGES = 3;
+const COMMONS_MAX_IMAGES = 5;
+const COMMONS_THUMB_WIDTH = 500;
+const COMMONS_MAX_RECORDINGS = 5;
+
+// Usable photos gathered before ranking them and keeping the best COMMONS_MAX_IMAGES
+const COMMONS_RANKING_POOL = 20;
+
+// Commons categories given to reviewed photos, with the score each adds when ranking
+const COMMONS_QUALITY_CATEGORIES = {
+    'Category:Featured pictures on Wikimedia Commons': 4,
+    'Category:Quality images': 3,
+    'Category:Valued images sorted by promotion date': 2
+};
+
+// Words in a file name that usually mean it isn't a photo of a live bird
+const COMMONS_UNLIKELY_PHOTO_WORDS = ['egg', 'specimen', 'museum', 'skin', 'skeleton', 'skull',
+    'drawing', 'illustration', 'painting', 'stamp', 'sketch'];
+
+// File metadata fields used for photo credits
+const COMMONS_ATTRIBUTION_FIELDS = 'Artist|LicenseShortName|LicenseUrl|Credit';
+
+// Used when neither config.js nor the checklist lists any providers
+const DEFAULT_IMAGE_PROVIDERS = [
+    { type: 'commons' },
+    { type: 'wikipedia' }
+];
+
+// Rate limits (429) and transient server errors are retried with exponential backoff
+const FETCH_MAX_RETRIES = 4;
+const FETCH_RETRY_BASE_DELAY_MS = 500;
+const FETCH_RETRY_MAX_DELAY_MS = 30000;
+
+/**
+ * Fetches a URL, retrying rate limits, 5xx responses and network errors
+ * Waits as long as a Retry-After header asks, otherwise doubles the delay each time
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Options passed on to fetch()
+ * @returns {Promise<Response>} - The last response received
+ */
+async function fetchWithRetry(url, options) {
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (attempt >= FETCH_MAX_RETRIES) {
+                throw error;
+            }
+        }
+
+        const retryable = !response || response.status === 429 || response.status >= 500;
+        if (!retryable || attempt >= FETCH_MAX_RETRIES) {
+            return response;
+        }
+
+        // Honour Retry-After (in seconds) when the server sends one, add jitter otherwise
+        const retryAfter = response ? parseFloat(response.headers.get('Retry-After')) : NaN;
+        const delay = Number.isFinite(retryAfter)
+            ? retryAfter * 1000
+            : FETCH_RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * FETCH_RETRY_BASE_DELAY_MS;
+
+        console.log(`Retrying ${url} in ${Math.round(delay)} ms (${response ? `HTTP ${response.status}` : 'network error'})`);
+        await new Promise(resolve => setTimeout(resolve, Math.min(delay, FETCH_RETRY_MAX_DELAY_MS)));
+    }
+}
+
+/**
+ * Builds the link to a file's description page on the wiki serving apiUrl
+ *
+ * @param {string} apiUrl - Action API endpoint, e.g. https://commons.wikimedia.org/w/api.php
+ * @param {string} fileTitle - File title, with or without the "File:" prefix
+ * @returns {string} - URL of the file page
+ */
+function commonsFilePageUrl(apiUrl, fileTitle) {
+    const wikiRoot = apiUrl.replace(/\/w\/api\.php$/, '');
+    return `${wikiRoot}/wiki/File:${encodeURIComponent(fileTitle.replace('File:', ''))}`;
+}
+
+/**
+ * Turns HTML from file metadata into plain text
+ *
+ * @param {string} html - Metadata value, which may contain markup
+ * @returns {string} - Plain text
+ */
+function stripHtml(html) {
+    return String(html)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Builds the photo credit from a file's extmetadata
+ *
+ * @param {Object} extmetadata - The extmetadata object from an imageinfo query
+ * @returns {Object|null} - { artist, license, licenseUrl, credit } or null without metadata
+ */
+function attributionFromExtmetadata(extmetadata) {
+    if (!extmetadata) {
+        return null;
+    }
+
+    const value = key => extmetadata[key] ? stripHtml(extmetadata[key].value) : '';
+
+    return {
+        artist: value('Artist'),
+        license: value('LicenseShortName'),
+        licenseUrl: value('LicenseUrl'),
+        credit: value('Credit')
+    };
+}
+
+/**
+ * Works out the file name from an upload.wikimedia.org URL
+ * Handles both originals (.../a/ab/Name.jpg) and thumbnails (.../a/ab/Name.jpg/320px-Name.jpg)
+ *
+ * @param {string} url - Image URL
+ * @returns {string|null} - File name, or null if the URL isn't a wiki upload
+ */
+function fileNameFromUploadUrl(url) {
+    const match = url.match(/\/[0-9a-f]\/[0-9a-f]{2}\/([^/]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Looks up and adds the photo credit for images that don't have one yet
+ * All files are looked up in a single request
+ *
+ * @param {Array} images - Array of image objects, updated in place
+ * @param {string} apiUrl - Action API endpoint of the wiki the images are used on
+ */
+async function addFileAttribution(images, apiUrl) {
+    const fileNames = [...new Set(images
+        .filter(image => !image.attribution)
+        .map(image => fileNameFromUploadUrl(image.url))
+        .filter(Boolean))];
+
+    if (fileNames.length === 0) {
+        return;
+    }
+
+    try {
+        const titles = fileNames.map(fileName => `File:${fileName}`).join('|');
+        const url = `${apiUrl}?action=query&titles=${encodeURIComponent(titles)}&prop=imageinfo&iiprop=extmetadata&iiextmetadatafilter=${COMMONS_ATTRIBUTION_FIELDS}&format=json&origin=*`;
+        const response = await fetchWithRetry(url);
+
+        if (!response.ok) {
+            return; // Credits are optional, the images are still usable
+        }
+
+        const data = await response.json();
+        const pages = data.query && data.query.pages ? Object.values(data.query.pages) : [];
+
+        // The API normalizes titles (underscores to spaces), so compare normalized names
+        const normalize = fileName => fileName.replace(/^File:/, '').replace(/_/g, ' ');
+        for (const image of images) {
+            const fileName = fileNameFromUploadUrl(image.url);
+            const page = fileName && pages.find(filePage => normalize(filePage.title) === normalize(fileName));
+
+            if (page && page.imageinfo && page.imageinfo.length > 0) {
+                image.attribution = attributionFromExtmetadata(page.imageinfo[0].extmetadata);
+            }
+        }
+    } catch (error) {
+        console.error('Error fetching photo credits:', error);
+    }
+}
+
+/**
+ * Whether a Commons file title looks like a usable bird photo
+ * (jpg/png, and not a map or diagram)
+ *
+ * @param {string} fileTitle - File title, e.g. "File:Ara macao.jpg"
+ * @returns {boolean}
+ */
+function isUsableImageTitle(fileTitle) {
+    const title = fileTitle.toLowerCase();
+    return (title.endsWith('.jpg') ||
+            title.endsWith('.jpeg') ||
+            title.endsWith('.png')) &&
+            !title.includes('map') &&
+            !title.includes('distribution') &&
+            !title.includes('range') &&
+            !title.includes('diagram');
+}
+
+/**
+ * Checks whether a Commons file title looks like a sound recording
+ *
+ * @param {string} fileTitle - Commons file title, e.g. "File:Ara macao call.ogg"
+ * @returns {boolean}
+ */
+function isUsableAudioTitle(fileTitle) {
+    return /\.(ogg|oga|mp3|wav)$/i.test(fileTitle);
+}
+
+/**
+ * Rates how good a Commons file is likely to be as a bird photo, from its metadata
+ * Larger photos, JPEGs and photos reviewed as featured, quality or valued images
+ * score higher; panoramas and strips, PNGs (mostly drawings) and file names
+ * hinting at eggs, specimens or artwork score lower
+ *
+ * @param {Object} filePage - Page from a Commons query with imageinfo and categories
+ * @returns {number} - Higher is better, 0 for a small JPEG with nothing special about it
+ */
+function scoreCommonsImage(filePage) {
+    const info = filePage.imageinfo[0];
+    let score = 0;
+
+    if (info.width && info.height) {
+        const megapixels = (info.width * info.height) / 1e6;
+        score += Math.min(Math.log2(1 + megapixels), 4);
+
+        const aspectRatio = Math.max(info.width, info.height) / Math.min(info.width, info.height);
+        if (aspectRatio > 2) {
+            score -= 2;
+        }
+    }
+
+    if (info.mime === 'image/jpeg') {
+        score += 1;
+    } else if (info.mime === 'image/png') {
+        score -= 1;
+    }
+
+    for (const category of filePage.categories || []) {
+        score += COMMONS_QUALITY_CATEGORIES[category.title] || 0;
+    }
+
+    const unlikelyWords = new RegExp(`\\b(${COMMONS_UNLIKELY_PHOTO_WORDS.join('|')})s?\\b`, 'i');
+    if (unlikelyWords.test(filePage.title)) {
+        score -= 3;
+    }
+
+    return score;
+}
+
+/**
+ * Runs a Commons generator query page by page, collecting usable files
+ * Each page returns the files together with their image info, so one request
+ * covers up to COMMONS_BATCH_SIZE candidates. When the files are ranked, up to
+ * COMMONS_RANKING_POOL candidates are gathered and the best maxImages kept;
+ * otherwise the first maxImages in generator order are. Stops after
+ * COMMONS_MAX_PAGES pages either way.
+ *
+ * @param {string} apiUrl - Commons action API endpoint
+ * @param {string} generatorParams - Query string selecting the generator, e.g. "generator=search&gsrsearch=..."
+ * @param {number} maxImages - How many files to collect at most
+ * @param {Function} isUsableTitle - Picks the files to keep by title, photos by default
+ * @param {Function|null} scoreFile - Ranks the files (see scoreCommonsImage), null keeps generator order
+ * @returns {Array} - Array of image objects ({ url, originalUrl, link, title, width, height, mime, score, attribution })
+ */
+async function fetchCommonsGeneratorImages(apiUrl, generatorParams, maxImages = COMMONS_MAX_IMAGES, isUsableTitle = isUsableImageTitle, scoreFile = scoreCommonsImage) {
+    const images = [];
+    const wanted = scoreFile ? Math.max(maxImages, COMMONS_RANKING_POOL) : maxImages;
+    const qualityCategories = Object.keys(COMMONS_QUALITY_CATEGORIES).join('|');
+    let continueParams = '';
+
+    for (let page = 0; page < COMMONS_MAX_PAGES && images.length < wanted; page++) {
+        const url = `${apiUrl}?action=query&${generatorParams}&prop=imageinfo|categories&iiprop=url|size|mime|extmetadata&iiextmetadatafilter=${COMMONS_ATTRIBUTION_FIELDS}&iiurlwidth=${COMMONS_THUMB_WIDTH}&clcategories=${encodeURIComponent(qualityCategories)}&cllimit=max&format=json&origin=*${continueParams}`;
+        const response = await fetchWithRetry(url);
+
+        // A failed first page is an error, a failed later page just ends the list
+        if (!response.ok) {
+            if (page === 0) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            break;
+        }
+
+        const data = await response.json();
+        const pages = data.query && data.query.pages ? Object.values(data.query.pages) : [];
+
+        // Search results carry their rank in "index", category members come in title order
+        pages.sort((a, b) => (a.index || 0) - (b.index || 0));
+
+        for (const filePage of pages) {
+            if (images.length >= wanted) {
+                break;
+            }
+            if (!isUsableTitle(filePage.title) || !filePage.imageinfo || filePage.imageinfo.length === 0) {
+                continue;
+            }
+
+            const info = filePage.imageinfo[0];
+            images.push({
+                url: info.thumburl || info.url,
+                originalUrl: info.url,
+                link: info.descriptionurl || commonsFilePageUrl(apiUrl, filePage.title),
+                title: filePage.title,
+                width: info.width,
+                height: info.height,
+                mime: info.mime,
+                score: scoreFile ? scoreFile(filePage) : 0,
+                attribution: attributionFromExtmetadata(info.extmetadata)
+            });
+        }
+
+        // Carry on with the next page of the generator, if there is one
+        if (!data.continue) {
+            break;
+        }
+        continueParams = Object.entries(data.continue)
+            .map(([key, value]) => `&${key}=${encodeURIComponent(value)}`)
+            .join('');
+    }
+
+    // Sorting is stable, so equally good files keep the generator's order
+    if (scoreFile) {
+        images.sort((a, b) => b.score - a.score);
+    }
+    return images.slice(0, maxImages);
+}
+
+/**
+ * Runs one query of an image lookup and notes in the trace what was asked
+ * and how it went. Errors are noted rather than thrown, so the next query
+ * still gets a go
+ *
+ * @param {Object|null} trace - { steps: [] } to note the query in, null to just run it
+ * @param {Object} step - { via, query }: the kind of query and what was asked
+ * @param {Function} runQuery - Async function resolving to the images found
+ * @returns {Promise<Array>} - The images found, empty after an error
+ */
+async function tracedQuery(trace, step, runQuery) {
+    let images = [];
+    let error = null;
+
+    try {
+        images = await runQuery();
+    } catch (caught) {
+        console.error(`Error looking up ${step.query}:`, caught);
+        error = caught.message;
+    }
+
+    if (trace) {
+        trace.steps.push({ ...step, found: images.length, error });
+    }
+    return images;
+}
+
+/**
+ * Fetches bird images from Wikimedia Commons using scientific name
+ * Returns multiple images when available, as thumbnails sized for the cards
+ * with the full-resolution original kept in originalUrl
+ * 
+ * @param {string} scientificName - Scientific name of the bird
+ * @param {string} apiUrl - Commons action API endpoint
+ * @param {Object|null} trace - Lookup trace to note the queries in (see tracedQuery)
+ * @returns {Array} - Array of image objects or empty array if none found
+ */
+async function fetchBirdImagesFromCommons(scientificName, apiUrl = COMMONS_API_URL, trace = null) {
+    console.log(`Searching Commons for ${scientificName}`);
+    
+    // First approach: Try to find images directly in the category for this species
+    const category = `Category:${scientificName}`;
+    const categoryParams = `generator=categorymembers&gcmtitle=${encodeURIComponent(category)}&gcmtype=file&gcmlimit=${COMMONS_BATCH_SIZE}`;
+    let images = await tracedQuery(trace, { via: 'commons-category', query: category },
+        () => fetchCommonsGeneratorImages(apiUrl, categoryParams));
+    
+    if (images.length > 0) {
+        console.log(`Found ${images.length} images for ${scientificName} in Commons category`);
+        return images;
+    }
+    
+    // Second approach: Try a direct search in Commons
+    const search = `${scientificName} incategory:Birds`;
+    const searchParams = `generator=search&gsrsearch=${encodeURIComponent(search)}&gsrnamespace=6&gsrlimit=${COMMONS_BATCH_SIZE}`;
+    images = await tracedQuery(trace, { via: 'commons-search', query: search },
+        () => fetchCommonsGeneratorImages(apiUrl, searchParams));
+    
+    if (images.length === 0) {
+        console.log(`No suitable images found for ${scientificName} in Commons`);
+    } else {
+        console.log(`Found ${images.length} images for ${scientificName} via direct search`);
+    }
+    
+    return images;
+}
+
+/**
+ * Fetches recordings of a bird's calls and songs from Wikimedia Commons
+ * Looks in the species category first, then searches for audio files
+ *
+ * @param {string} scientificName - Scientific name of the bird
+ * @param {string} apiUrl - Commons action API endpoint
+ * @returns {Array} - Array of recordings ({ url, link, title, attribution }), empty if none found
+ */
+async function fetchBirdRecordingsFromCommons(scientificName, apiUrl = recordingsApiUrl) {
+    try {
+        const toRecording = file => ({
+            url: file.originalUrl,
+            link: file.link,
+            title: file.title.replace(/^File:/, ''),
+            attribution: file.attribution
+        });
+
+        const category = `Category:${scientificName}`;
+        const categoryParams = `generator=categorymembers&gcmtitle=${encodeURIComponent(category)}&gcmtype=file&gcmlimit=${COMMONS_BATCH_SIZE}`;
+        let recordings = await tracedQuery(null, { query: category },
+            () => fetchCommonsGeneratorImages(apiUrl, categoryParams, COMMONS_MAX_RECORDINGS, isUsableAudioTitle, null));
+
+        if (recordings.length === 0) {
+            const search = `"${scientificName}" filetype:audio`;
+            const searchParams = `generator=search&gsrsearch=${encodeURIComponent(search)}&gsrnamespace=6&gsrlimit=${COMMONS_BATCH_SIZE}`;
+            recordings = await tracedQuery(null, { query: search },
+                () => fetchCommonsGeneratorImages(apiUrl, searchParams, COMMONS_MAX_RECORDINGS, isUsableAudioTitle, null));
+        }
+
+        return recordings.map(toRecording);
+    } catch (error) {
+        console.error(`Error searching Commons recordings for ${scientificName}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Reads the lead image of a Wikipedia article from the article's summary
+ *
+ * @param {string} title - Article title
+ * @param {string} restUrl - Wikipedia REST API base URL
+ * @returns {Promise<Array>} - The thumbnail and, when there is one, the original;
+ *                             empty if the article has no image or doesn't exist
+ */
+async function fetchWikipediaSummaryImages(title, restUrl) {
+    const response = await fetchWithRetry(`${restUrl}/page/summary/${encodeURIComponent(title.replace(/ /g, "_"))}`);
+    
+    if (response.status === 404) {
+        return []; // No article by that name
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const data = await response.json();
+    if (!data.thumbnail || !data.thumbnail.source) {
+        return [];
+    }
+    
+    const images = [{
+        url: data.thumbnail.source,
+        link: data.content_urls.desktop.page
+    }];
+    
+    // Add higher resolution if available
+    if (data.originalimage && data.originalimage.source) {
+        images.push({
+            url: data.originalimage.source,
+            link: data.content_urls.desktop.page
+        });
+    }
+    
+    return images;
+}
+
+/**
+ * Fallback to search Wikipedia API for images using common name
+ * Only used if Commons search fails
+ * 
+ * @param {string} commonName - Common name of the bird
+ * @param {string} apiUrl - Wikipedia action API endpoint
+ * @param {string} restUrl - Wikipedia REST API base URL
+ * @param {Object|null} trace - Lookup trace to note the queries in (see tracedQuery)
+ * @returns {Array} - Array of image objects or empty array if none found
+ */
+async function fetchBirdImagesFromWikipedia(commonName, apiUrl = WIKIPEDIA_API_URL, restUrl = WIKIPEDIA_REST_URL, trace = null) {
+    console.log(`Falling back to Wikipedia search for ${commonName}`);
+    
+    // Try the article named after the bird first - simpler and more reliable
+    let images = await tracedQuery(trace, { via: 'wikipedia', query: commonName },
+        () => fetchWikipediaSummaryImages(commonName, restUrl));
+    
+    if (images.length > 0) {
+        console.log(`Found image for ${commonName} using Wikipedia summary API`);
+    } else {
+        // If that fails, search Wikipedia and use the best match
+        const search = `${commonName} bird`;
+        images = await tracedQuery(trace, { via: 'wikipedia-search', query: search }, async () => {
+            const searchUrl = `${apiUrl}?action=query&list=search&srsearch=${encodeURIComponent(search)}&format=json&origin=*`;
+            const response = await fetchWithRetry(searchUrl);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (!data.query || !data.query.search || data.query.search.length === 0) {
+                return [];
+            }
+            
+            const pageTitle = data.query.search[0].title;
+            console.log(`Found Wikipedia article: ${pageTitle} for ${commonName}`);
+            return fetchWikipediaSummaryImages(pageTitle, restUrl);
+        });
+        
+        if (images.length > 0) {
+            console.log(`Found image for ${commonName} via Wikipedia search`);
+        }
+    }
+    
+    if (images.length === 0) {
+        console.log(`No Wikipedia images found for ${commonName}`);
+    } else {
+        await addFileAttribution(images, apiUrl);
+    }
+    
+    return images;
+}
+
+/**
+ * Looks for photos in a local folder named after the scientific name,
+ * e.g. images/Pelecanus_occidentalis/. The folder is read from the directory
+ * listing the web server returns (python3 -m http.server provides one)
+ *
+ * @param {string} scientificName - Scientific name of the bird
+ * @param {string} baseUrl - Folder holding one sub-folder per species
+ * @param {Object|null} trace - Lookup trace to note the query in (see tracedQuery)
+ * @returns {Array} - Array of image objects or empty array if none found
+ */
+async function fetchBirdImagesFromLocalFolder(scientificName, baseUrl = LOCAL_IMAGES_BASE_URL, trace = null) {
+    const folderUrl = `${baseUrl.replace(/\/?$/, '/')}${encodeURIComponent(scientificName.replace(/ /g, '_'))}/`;
+
+    return tracedQuery(trace, { via: 'local', query: folderUrl }, async () => {
+        const response = await fetchWithRetry(folderUrl);
+
+        if (response.status === 404) {
+            return []; // No folder for this bird
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Pick the image files out of the links in the listing
+        const listing = await response.text();
+        const fileNames = Array.from(listing.matchAll(/href="([^"?#/]+\.(?:jpe?g|png))"/gi), match => match[1]);
+
+        const images = fileNames.map(fileName => ({
+            url: folderUrl + fileName,
+            link: folderUrl + fileName
+        }));
+
+        if (images.length > 0) {
+            console.log(`Found ${images.length} local images for ${scientificName}`);
+        }
+
+        return images;
+    });
+}
+
+/**
+ * Built-in provider factories, keyed by the "type" used in provider config
+ * Each factory receives its config entry and returns a provider
+ */
+const imageProviderFactories = {
+    commons: options => ({
+        name: 'commons',
+        fetchImages: (bird, trace) => bird.scientificName
+            ? fetchBirdImagesFromCommons(bird.scientificName, options.api_url || COMMONS_API_URL, trace)
+            : Promise.resolve([])
+    }),
+    wikipedia: options => ({
+        name: 'wikipedia',
+        fetchImages: (bird, trace) => fetchBirdImagesFromWikipedia(bird.commonName,
+            options.api_url || WIKIPEDIA_API_URL,
+            options.rest_url || WIKIPEDIA_REST_URL,
+            trace)
+    }),
+    local: options => ({
+        name: 'local',
+        fetchImages: (bird, trace) => bird.scientificName
+            ? fetchBirdImagesFromLocalFolder(bird.scientificName, options.base_url || LOCAL_IMAGES_BASE_URL, trace)
+            : Promise.resolve([])
+    })
+};
+
+// Providers used by fetchBirdImagesWithFallback, set by configureImageProviders()
+let activeImageProviders = createImageProviders(DEFAULT_IMAGE_PROVIDERS);
+
+// Wikipedia REST API used for species summaries, follows the configured wikipedia provider
+let summaryRestUrl = WIKIPEDIA_REST_URL;
+
+// Commons API used for bird recordings, follows the configured commons provider
+let recordingsApiUrl = COMMONS_API_URL;
+
+// Species summaries already fetched, keyed by REST API and article title
+const speciesSummaries = new Map();
+
+/**
+ * Adds a provider type that can then be named in provider config
+ *
+ * @param {string} type - Name used as "type" in config entries
+ * @param {Function} factory - Receives the config entry and returns { name, fetchImages(bird, trace) }
+ */
+function registerImageProvider(type, factory) {
+    imageProviderFactories[type] = factory;
+}
+
+/**
+ * Turns provider config entries into providers, skipping unknown types
+ *
+ * @param {Array} providerConfig - Entries like { type: 'commons', api_url: '...' }
+ * @returns {Array} - Providers in the configured order
+ */
+function createImageProviders(providerConfig) {
+    const providers = [];
+
+    for (const options of providerConfig) {
+        const factory = imageProviderFactories[options.type];
+        if (!factory) {
+            console.error(`Unknown image provider type: ${options.type}`);
+            continue;
+        }
+        providers.push(factory(options));
+    }
+
+    return providers;
+}
+
+/**
+ * Picks the provider config to use: config.js first, then the checklist, then the defaults
+ *
+ * @param {Array} checklistProviders - The checklist's "image_providers" list, if any
+ * @returns {Array} - Provider config entries
+ */
+function resolveImageProviderConfig(checklistProviders) {
+    const appConfig = typeof window !== 'undefined' && window.BIRD_GRID_CONFIG;
+
+    if (appConfig && Array.isArray(appConfig.image_providers)) {
+        return appConfig.image_providers;
+    }
+    if (Array.isArray(checklistProviders)) {
+        return checklistProviders;
+    }
+    return DEFAULT_IMAGE_PROVIDERS;
+}
+
+/**
+ * Sets the providers used for all following lookups
+ *
+ * @param {Array} checklistProviders - The checklist's "image_providers" list, if any
+ * @returns {string} - Signature of the chosen config, changes whenever the config does
+ */
+function configureImageProviders(checklistProviders) {
+    const providerConfig = resolveImageProviderConfig(checklistProviders);
+    activeImageProviders = createImageProviders(providerConfig);
+
+    const wikipedia = providerConfig.find(options => options.type === 'wikipedia');
+    summaryRestUrl = wikipedia && wikipedia.rest_url ? wikipedia.rest_url : WIKIPEDIA_REST_URL;
+
+    const commons = providerConfig.find(options => options.type === 'commons');
+    recordingsApiUrl = commons && commons.api_url ? commons.api_url : COMMONS_API_URL;
+
+    return JSON.stringify(providerConfig);
+}
+
+/**
+ * Tries each configured provider in turn until one returns images
+ * Each image is tagged with the name of the provider that found it (source)
+ * and the kind of query that did (via, e.g. 'commons-search')
+ *
+ * @param {string} commonName - Common name of the bird
+ * @param {string} scientificName - Scientific name of the bird
+ * @param {Object} trace - Lookup trace that collects the queries tried (see tracedQuery)
+ * @returns {Array} - Array of image objects or empty array if none found
+ */
+async function fetchBirdImagesWithFallback(commonName, scientificName, trace = { steps: [] }) {
+    const bird = { commonName, scientificName };
+
+    for (const provider of activeImageProviders) {
+        const stepCount = trace.steps.length;
+        const images = await provider.fetchImages(bird, trace);
+
+        // Providers that don't note their queries count as a single query
+        if (trace.steps.length === stepCount) {
+            trace.steps.push({ via: provider.name, query: scientificName || commonName, found: images.length, error: null });
+        }
+
+        if (images.length > 0) {
+            const via = trace.steps[trace.steps.length - 1].via;
+            return images.map(image => ({ ...image, source: provider.name, via }));
+        }
+
+        console.log(`No images from ${provider.name} for ${scientificName || commonName}`);
+    }
+
+    return [];
+}
+
+/**
+ * Fetches the Wikipedia summary for a species (the article's lead extract)
+ * Results are kept in memory, so reopening a species costs nothing
+ *
+ * @param {string} title - Article title, the bird's common name on English Wikipedia
+ * @param {string} restUrl - REST API of the Wikipedia to ask, the configured one by default
+ * @returns {Promise<Object|null>} - { title, extract, url } or null if there is no article
+ */
+async function fetchSpeciesSummary(title, restUrl = summaryRestUrl) {
+    const cacheKey = `${restUrl} ${title}`;
+    if (speciesSummaries.has(cacheKey)) {
+        return speciesSummaries.get(cacheKey);
+    }
+
+    try {
+        const response = await fetchWithRetry(`${restUrl}/page/summary/${encodeURIComponent(title.replace(/ /g, "_"))}`);
+        if (!response.ok) {
+            return null;
+        }
+
+        const data = await response.json();
+        const summary = {
+            title: data.title,
+            extract: data.extract || '',
+            url: data.content_urls ? data.content_urls.desktop.page : null
+        };
+        speciesSummaries.set(cacheKey, summary);
+        return summary;
+    } catch (error) {
+        console.error(`Error fetching summary for ${title}:`, error);
+        return null;
+    }
+}
+
+// Shared with the manifest builder (build-manifest.js), which runs under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCAL_IMAGES_BASE_URL,
+        registerImageProvider,
+        configureImageProviders,
+        fetchBirdImagesWithFallback,
+        fetchBirdImagesFromLocalFolder
+    };
+}
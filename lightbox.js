@@ -0,0 +1,390 @@
+/**
+ * LIGHTBOX
+ *
+ * Full-screen photo viewer for a bird card. Shows a larger version of each
+ * photo with previous/next buttons, a thumbnail strip, an "n of m" counter and
+ * the Wikipedia summary of the species. Arrow keys and swipes move between
+ * photos, Escape closes the viewer. Photos can be pinned as the bird's first
+ * photo or hidden (see curation.js); hidden photos can be shown again here.
+ */
+
+// Width requested for the large image when only a card-sized thumbnail is known
+const LIGHTBOX_IMAGE_WIDTH = 1280;
+
+// Horizontal distance (px) a touch has to travel to count as a swipe
+const LIGHTBOX_SWIPE_DISTANCE = 50;
+
+// What the viewer is showing: { card, images, index, showHidden }, null while closed
+let lightboxState = null;
+
+/**
+ * Picks the URL for the large view of an image
+ * Commons thumbnails are re-requested at LIGHTBOX_IMAGE_WIDTH rather than
+ * loading a multi-megabyte original; offline, the cached copy is used
+ *
+ * @param {Object} image - Image information object
+ * @returns {string} - Image URL
+ */
+function largeImageUrl(image) {
+    if (isOfflineMode() || !image.originalUrl) {
+        return image.url;
+    }
+
+    const thumbUrl = image.sourceUrl || image.url;
+    const isLargeEnough = image.width && image.width > LIGHTBOX_IMAGE_WIDTH;
+    if (isLargeEnough && /\/\d+px-[^/]+$/.test(thumbUrl)) {
+        return thumbUrl.replace(/\/\d+px-([^/]+)$/, `/${LIGHTBOX_IMAGE_WIDTH}px-$1`);
+    }
+
+    return image.originalUrl;
+}
+
+/**
+ * Builds the viewer's elements (once) and wires up its buttons
+ *
+ * @returns {HTMLElement} - The viewer element
+ */
+function getLightboxElement() {
+    let lightbox = document.querySelector('.lightbox');
+    if (lightbox) {
+        return lightbox;
+    }
+
+    lightbox = document.createElement('div');
+    lightbox.className = 'lightbox';
+    lightbox.hidden = true;
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.innerHTML = `
+        <button type="button" class="lightbox-close" aria-label="${t('lightbox.close')}">×</button>
+        <div class="lightbox-body">
+            <div class="lightbox-photo">
+                <button type="button" class="lightbox-prev" aria-label="${t('lightbox.previous')}">‹</button>
+                <figure>
+                    <img class="lightbox-image" alt="">
+                    <figcaption>
+                        <span class="lightbox-counter"></span>
+                        <span class="lightbox-credit"></span>
+                    </figcaption>
+                    <div class="lightbox-curation">
+                        <button type="button" class="lightbox-pin"></button>
+                        <button type="button" class="lightbox-hide"></button>
+                        <label class="lightbox-show-hidden"><input type="checkbox"> <span></span></label>
+                    </div>
+                </figure>
+                <button type="button" class="lightbox-next" aria-label="${t('lightbox.next')}">›</button>
+            </div>
+            <aside class="lightbox-info">
+                <h2 class="lightbox-title"></h2>
+                <p class="lightbox-scientific"></p>
+                <p class="lightbox-extract"></p>
+                <a class="lightbox-article" target="_blank" rel="noopener noreferrer">${t('lightbox.readMore')}</a>
+            </aside>
+        </div>
+        <div class="lightbox-thumbs"></div>`;
+
+    lightbox.querySelector('.lightbox-close').addEventListener('click', closeLightbox);
+    lightbox.querySelector('.lightbox-prev').addEventListener('click', () => stepLightbox(-1));
+    lightbox.querySelector('.lightbox-next').addEventListener('click', () => stepLightbox(1));
+    lightbox.querySelector('.lightbox-pin').addEventListener('click', () => curateLightboxPhoto(togglePinnedImage));
+    lightbox.querySelector('.lightbox-hide').addEventListener('click', () => curateLightboxPhoto(toggleHiddenImage));
+    lightbox.querySelector('.lightbox-show-hidden input').addEventListener('change', event => {
+        lightboxState.showHidden = event.target.checked;
+        refreshLightboxImages(lightboxState.images[lightboxState.index]);
+    });
+
+    // Clicking the dark background closes the viewer
+    lightbox.addEventListener('click', event => {
+        if (event.target === lightbox || event.target.classList.contains('lightbox-body')) {
+            closeLightbox();
+        }
+    });
+
+    // Swipe left/right on the photo to move between photos
+    const photo = lightbox.querySelector('.lightbox-photo');
+    let touchStartX = null;
+    photo.addEventListener('touchstart', event => {
+        touchStartX = event.changedTouches[0].clientX;
+    }, { passive: true });
+    photo.addEventListener('touchend', event => {
+        if (touchStartX === null) {
+            return;
+        }
+        const distance = event.changedTouches[0].clientX - touchStartX;
+        touchStartX = null;
+        if (Math.abs(distance) >= LIGHTBOX_SWIPE_DISTANCE) {
+            stepLightbox(distance < 0 ? 1 : -1);
+        }
+    });
+
+    document.body.appendChild(lightbox);
+    return lightbox;
+}
+
+/**
+ * Handles the keyboard while the viewer is open
+ *
+ * @param {KeyboardEvent} event
+ */
+function handleLightboxKey(event) {
+    if (event.key === 'Escape') {
+        closeLightbox();
+    } else if (event.key === 'ArrowLeft') {
+        stepLightbox(-1);
+    } else if (event.key === 'ArrowRight') {
+        stepLightbox(1);
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Shows the photo at the current index, with its counter, credit and thumbnail highlighted
+ */
+function renderLightboxPhoto() {
+    const lightbox = getLightboxElement();
+    const { card, images, index } = lightboxState;
+    const image = lightbox.querySelector('.lightbox-image');
+    const counter = lightbox.querySelector('.lightbox-counter');
+    const credit = lightbox.querySelector('.lightbox-credit');
+
+    lightbox.classList.toggle('single', images.length < 2);
+
+    renderLightboxCuration();
+
+    if (images.length === 0) {
+        image.src = placeholderImageUrl(card.dataset.commonName);
+        image.alt = cardDisplayName(card);
+        image.classList.remove('curation-hidden');
+        counter.textContent = t('lightbox.noPhotos');
+        credit.innerHTML = '';
+        return;
+    }
+
+    const current = images[index];
+    image.alt = t('lightbox.photoAlt', { name: cardDisplayName(card), number: index + 1, count: images.length });
+    image.onerror = () => {
+        // Fall back to the card-sized image if the large one won't load
+        image.onerror = null;
+        image.src = current.url;
+    };
+    image.src = largeImageUrl(current);
+    counter.textContent = t('lightbox.counter', { number: index + 1, count: images.length });
+    renderPhotoCredit(credit, current);
+    image.classList.toggle('curation-hidden', imageCurationState(cardBirdKey(card), current).hidden);
+
+    lightbox.querySelectorAll('.lightbox-thumbs img').forEach((thumb, thumbIndex) => {
+        thumb.classList.toggle('current', thumbIndex === index);
+    });
+}
+
+/**
+ * Updates the pin and hide buttons for the photo shown, and the switch that
+ * shows hidden photos with their count
+ */
+function renderLightboxCuration() {
+    const lightbox = getLightboxElement();
+    const { card, images, index, showHidden } = lightboxState;
+    const pin = lightbox.querySelector('.lightbox-pin');
+    const hide = lightbox.querySelector('.lightbox-hide');
+    const showHiddenLabel = lightbox.querySelector('.lightbox-show-hidden');
+    const key = cardBirdKey(card);
+
+    const hiddenCount = (card._allImages || []).filter(image => imageCurationState(key, image).hidden).length;
+    showHiddenLabel.hidden = hiddenCount === 0 && !showHidden;
+    showHiddenLabel.querySelector('input').checked = showHidden;
+    showHiddenLabel.querySelector('span').textContent = t('curation.showHidden', { count: hiddenCount });
+
+    pin.hidden = hide.hidden = images.length === 0;
+    if (images.length === 0) {
+        return;
+    }
+
+    const state = imageCurationState(key, images[index]);
+    pin.textContent = state.pinned ? t('curation.unpin') : t('curation.pin');
+    pin.setAttribute('aria-pressed', String(state.pinned));
+    hide.textContent = state.hidden ? t('curation.unhide') : t('curation.hide');
+    hide.setAttribute('aria-pressed', String(state.hidden));
+}
+
+/**
+ * Fills the thumbnail strip with the photos the viewer is showing
+ * Pinned and hidden photos are marked
+ */
+function renderLightboxThumbs() {
+    const { card, images } = lightboxState;
+    const key = cardBirdKey(card);
+    const thumbs = getLightboxElement().querySelector('.lightbox-thumbs');
+
+    thumbs.innerHTML = '';
+    images.forEach((image, thumbIndex) => {
+        const state = imageCurationState(key, image);
+        const thumb = document.createElement('img');
+        thumb.src = image.url;
+        thumb.alt = t('lightbox.thumbAlt', { name: cardDisplayName(card), number: thumbIndex + 1 });
+        thumb.classList.toggle('curation-pinned', state.pinned);
+        thumb.classList.toggle('curation-hidden', state.hidden);
+        thumb.addEventListener('click', () => {
+            lightboxState.index = thumbIndex;
+            renderLightboxPhoto();
+        });
+        thumbs.appendChild(thumb);
+    });
+}
+
+/**
+ * Re-reads the card's photos after a change, staying on the given photo
+ * when it is still shown
+ *
+ * @param {Object} keep - Image information object to stay on, if any
+ */
+function refreshLightboxImages(keep) {
+    const { card, showHidden } = lightboxState;
+    const images = showHidden ? (card._allImages || []) : (card._images || []);
+    const keptIndex = keep ? images.findIndex(image => curationImageId(image) === curationImageId(keep)) : -1;
+
+    lightboxState.images = images;
+    lightboxState.index = keptIndex >= 0 ? keptIndex : Math.max(Math.min(lightboxState.index, images.length - 1), 0);
+    renderLightboxThumbs();
+    renderLightboxPhoto();
+}
+
+/**
+ * Pins or hides the photo shown and updates the card to match
+ *
+ * @param {Function} toggle - togglePinnedImage or toggleHiddenImage
+ */
+function curateLightboxPhoto(toggle) {
+    const { card, images, index } = lightboxState;
+    if (images.length === 0) {
+        return;
+    }
+
+    const image = images[index];
+    toggle(cardBirdKey(card), image);
+    showCuratedImages(card);
+    refreshLightboxImages(image);
+}
+
+/**
+ * The name shown on a card, which follows the chosen language
+ *
+ * @param {HTMLElement} card - The bird card
+ * @returns {string}
+ */
+function cardDisplayName(card) {
+    return card.querySelector('.bird-name').textContent;
+}
+
+/**
+ * Fetches the summary of the Wikipedia article the card links to
+ * Cards linked to another language's Wikipedia get that article's summary,
+ * cards linked to a search get the summary of the title searched for
+ *
+ * @param {HTMLElement} card - The bird card
+ * @returns {Promise<Object|null>} - { title, extract, url } or null
+ */
+function fetchCardSummary(card) {
+    const article = new URL(card.querySelector('.bird-name').href);
+    if (article.hostname === 'en.wikipedia.org') {
+        return fetchSpeciesSummary(card.dataset.commonName);
+    }
+
+    const title = article.pathname.startsWith('/wiki/')
+        ? decodeURIComponent(article.pathname.replace(/^\/wiki\//, ''))
+        : article.searchParams.get('search');
+    return fetchSpeciesSummary(title, `${article.origin}/api/rest_v1`);
+}
+
+/**
+ * Shows the species name and its Wikipedia summary
+ */
+async function renderLightboxInfo() {
+    const lightbox = getLightboxElement();
+    const card = lightboxState.card;
+    const extract = lightbox.querySelector('.lightbox-extract');
+    const article = lightbox.querySelector('.lightbox-article');
+
+    lightbox.querySelector('.lightbox-title').textContent = cardDisplayName(card);
+    lightbox.querySelector('.lightbox-scientific').textContent = card.dataset.scientificName;
+    article.href = card.querySelector('.bird-name').href;
+
+    if (isOfflineMode()) {
+        extract.textContent = t('lightbox.offline');
+        return;
+    }
+
+    extract.textContent = t('lightbox.loading');
+    const summary = await fetchCardSummary(card);
+
+    // The viewer may have moved on to another bird while this was loading
+    if (!lightboxState || lightboxState.card !== card) {
+        return;
+    }
+
+    extract.textContent = summary && summary.extract ? summary.extract : t('lightbox.noDescription');
+    if (summary && summary.url) {
+        article.href = summary.url;
+    }
+}
+
+/**
+ * Opens the viewer for a card
+ *
+ * @param {HTMLElement} card - The bird card
+ * @param {number} index - Index of the photo to show first
+ */
+function openLightbox(card, index = 0) {
+    const lightbox = getLightboxElement();
+    const images = card._images || [];
+
+    lightboxState = { card, images, index: Math.min(index, Math.max(images.length - 1, 0)), showHidden: false };
+
+    renderLightboxThumbs();
+    renderLightboxPhoto();
+    renderLightboxInfo();
+
+    lightbox.hidden = false;
+    document.body.classList.add('lightbox-open');
+    document.addEventListener('keydown', handleLightboxKey);
+    lightbox.querySelector('.lightbox-close').focus();
+}
+
+/**
+ * Moves to the previous or next photo, wrapping around at either end
+ *
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function stepLightbox(direction) {
+    if (!lightboxState || lightboxState.images.length < 2) {
+        return;
+    }
+
+    const count = lightboxState.images.length;
+    lightboxState.index = (lightboxState.index + direction + count) % count;
+    renderLightboxPhoto();
+}
+
+/**
+ * Closes the viewer and leaves the card on the photo last viewed,
+ * unless that photo is hidden
+ */
+function closeLightbox() {
+    if (!lightboxState) {
+        return;
+    }
+
+    const { card, images, index } = lightboxState;
+    const cardIndex = images.length > 0
+        ? (card._images || []).findIndex(image => curationImageId(image) === curationImageId(images[index]))
+        : -1;
+    if (cardIndex >= 0) {
+        showCardImage(card, cardIndex);
+    }
+
+    lightboxState = null;
+    getLightboxElement().hidden = true;
+    document.body.classList.remove('lightbox-open');
+    document.removeEventListener('keydown', handleLightboxKey);
+}
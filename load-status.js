@@ -0,0 +1,259 @@
+/**
+ * LOAD STATUS
+ *
+ * Shows on each card how its photos were found: waiting for a lookup,
+ * loading, found in the species' Commons category, by a Commons search, on
+ * Wikipedia or in a local folder, nothing found, or an error such as
+ * "HTTP 429", so a failed lookup no longer looks like a bird without photos.
+ * Birds left without photos get a retry button.
+ *
+ * The diagnostics panel lists those birds with the queries each lookup tried
+ * (see tracedQuery), which helps to spot names to fix in the checklist.
+ */
+
+// Statuses after which a card can be retried
+const LOAD_STATUS_FAILED = ['none', 'error'];
+
+/**
+ * Names the kind of query that found a bird's photos
+ *
+ * @param {string} via - e.g. 'commons-category', or the name of another provider
+ * @returns {string} - e.g. "Commons category"
+ */
+function loadStatusViaLabel(via) {
+    const key = `loadStatus.via.${via}`;
+    return MESSAGES[DEFAULT_LANGUAGE][key] !== undefined ? t(key) : via;
+}
+
+/**
+ * Describes a card's load status
+ *
+ * @param {HTMLElement} card - Bird card element
+ * @returns {string} - e.g. "Photos from Commons search" or "Failed: HTTP 429"
+ */
+function loadStatusText(card) {
+    const { loadStatus, loadDetail } = card.dataset;
+
+    switch (loadStatus) {
+        case 'found':
+            return card._lookupTrace && card._lookupTrace.refreshFailed
+                ? t('loadStatus.foundStale', { via: loadStatusViaLabel(loadDetail) })
+                : t('loadStatus.found', { via: loadStatusViaLabel(loadDetail) });
+        case 'error':
+            return t('loadStatus.error', { error: loadDetail });
+        default:
+            return t(`loadStatus.${loadStatus}`);
+    }
+}
+
+/**
+ * Adds the load status badge and its retry button to a card
+ * New cards are waiting for a lookup
+ *
+ * @param {HTMLElement} card - Bird card element
+ */
+function addLoadStatus(card) {
+    const badge = document.createElement('div');
+    badge.className = 'load-status';
+
+    const text = document.createElement('span');
+    text.className = 'load-status-text';
+    badge.appendChild(text);
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'load-status-retry';
+    retry.textContent = t('loadStatus.retry');
+    retry.addEventListener('click', () => loadCardImages(card));
+    badge.appendChild(retry);
+
+    card.appendChild(badge);
+    setLoadStatus(card, 'pending');
+}
+
+/**
+ * Sets a card's load status
+ *
+ * @param {HTMLElement} card - Bird card element
+ * @param {string} status - 'pending', 'loading', 'found', 'none' or 'error'
+ * @param {string} detail - How the photos were found ('found'), or the error ('error')
+ */
+function setLoadStatus(card, status, detail = '') {
+    card.dataset.loadStatus = status;
+    card.dataset.loadDetail = detail;
+
+    const badge = card.querySelector('.load-status');
+    if (badge) {
+        badge.className = `load-status load-status-${status}`;
+        badge.querySelector('.load-status-text').textContent = loadStatusText(card);
+        badge.querySelector('.load-status-retry').hidden = !LOAD_STATUS_FAILED.includes(status);
+    }
+
+    const panel = document.querySelector('.diagnostics');
+    if (panel && !panel.hidden) {
+        renderDiagnostics();
+    }
+}
+
+/**
+ * Sets a card's status from the outcome of a lookup
+ * The queries tried are kept on the card for the diagnostics panel. A card
+ * that still shows cached photos after a failed refresh keeps its 'found'
+ * status, the trace notes the failed refresh
+ *
+ * @param {HTMLElement} card - Bird card element
+ * @param {Object} trace - The lookup's trace ({ steps })
+ * @param {Array} images - The images found
+ */
+function setLookupStatus(card, trace, images) {
+    card._lookupTrace = trace;
+
+    if (images.length === 0 && card._allImages) {
+        trace.refreshFailed = true;
+        images = card._allImages;
+    }
+
+    if (images.length > 0) {
+        setLoadStatus(card, 'found', images[0].via || images[0].source || '');
+        return;
+    }
+
+    const failed = trace.steps.find(step => step.error);
+    setLoadStatus(card, failed ? 'error' : 'none', failed ? failed.error : '');
+}
+
+/**
+ * Cards of the gallery whose lookup found nothing or failed
+ *
+ * @returns {Array} - Bird card elements, in gallery order
+ */
+function failedLoadCards() {
+    return Array.from(document.querySelectorAll('#birds-container .bird-card'))
+        .filter(card => LOAD_STATUS_FAILED.includes(card.dataset.loadStatus));
+}
+
+/**
+ * Describes one query of a lookup
+ *
+ * @param {Object} step - { via, query, found, error }
+ * @returns {string} - e.g. 'Commons category "Category:Ara macao": nothing found'
+ */
+function describeLookupStep(step) {
+    const outcome = step.error
+        ? t('diagnostics.stepError', { error: step.error })
+        : step.found > 0 ? t('diagnostics.stepFound', { count: step.found }) : t('diagnostics.stepNone');
+    return `${loadStatusViaLabel(step.via)} "${step.query}": ${outcome}`;
+}
+
+/**
+ * Lists the birds without photos and the queries tried for each
+ */
+function renderDiagnostics() {
+    const panel = getDiagnosticsElement();
+    const list = panel.querySelector('.diagnostics-list');
+    const cards = failedLoadCards();
+    const errorCount = cards.filter(card => card.dataset.loadStatus === 'error').length;
+
+    panel.querySelector('.diagnostics-summary').textContent = cards.length === 0
+        ? t('diagnostics.allFine')
+        : t('diagnostics.summary', { count: cards.length, errors: errorCount });
+    panel.querySelector('.diagnostics-retry-all').hidden = cards.length === 0;
+
+    list.innerHTML = '';
+    for (const card of cards) {
+        const item = document.createElement('li');
+
+        const name = document.createElement('strong');
+        name.textContent = card.dataset.commonName;
+        item.appendChild(name);
+        if (card.dataset.scientificName) {
+            const scientific = document.createElement('em');
+            scientific.textContent = ` ${card.dataset.scientificName}`;
+            item.appendChild(scientific);
+        }
+
+        const status = document.createElement('span');
+        status.className = `diagnostics-status load-status-${card.dataset.loadStatus}`;
+        status.textContent = ` ${loadStatusText(card)} `;
+        item.appendChild(status);
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.textContent = t('loadStatus.retry');
+        retry.addEventListener('click', () => loadCardImages(card));
+        item.appendChild(retry);
+
+        const steps = document.createElement('ol');
+        for (const step of (card._lookupTrace || { steps: [] }).steps) {
+            const stepItem = document.createElement('li');
+            stepItem.textContent = describeLookupStep(step);
+            steps.appendChild(stepItem);
+        }
+        item.appendChild(steps);
+
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Looks up every bird without photos again, one at a time to spare the APIs
+ */
+async function retryFailedLoads() {
+    const button = getDiagnosticsElement().querySelector('.diagnostics-retry-all');
+    button.disabled = true;
+    try {
+        for (const card of failedLoadCards()) {
+            await loadCardImages(card);
+        }
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Returns the diagnostics panel, creating it the first time
+ *
+ * @returns {HTMLElement}
+ */
+function getDiagnosticsElement() {
+    let panel = document.querySelector('.diagnostics');
+    if (panel) {
+        return panel;
+    }
+
+    panel = document.createElement('div');
+    panel.className = 'diagnostics';
+    panel.hidden = true;
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.innerHTML = `
+        <button type="button" class="diagnostics-close" aria-label="${t('diagnostics.close')}">×</button>
+        <h2>${t('diagnostics.title')}</h2>
+        <p class="diagnostics-summary" aria-live="polite"></p>
+        <button type="button" class="diagnostics-retry-all">${t('diagnostics.retryAll')}</button>
+        <ul class="diagnostics-list"></ul>`;
+
+    panel.querySelector('.diagnostics-close').addEventListener('click', closeDiagnostics);
+    panel.querySelector('.diagnostics-retry-all').addEventListener('click', retryFailedLoads);
+
+    document.body.appendChild(panel);
+    return panel;
+}
+
+/**
+ * Opens the diagnostics panel
+ */
+function openDiagnostics() {
+    const panel = getDiagnosticsElement();
+    panel.hidden = false;
+    document.body.classList.add('diagnostics-open');
+    renderDiagnostics();
+}
+
+/**
+ * Closes the diagnostics panel
+ */
+function closeDiagnostics() {
+    getDiagnosticsElement().hidden = true;
+    document.body.classList.remove('diagnostics-open');
+}
@@ -0,0 +1,481 @@
+/**
+ * QUIZ
+ *
+ * Identification drill built on the loaded checklist: shows a photo and asks
+ * for the bird's common name, either as multiple choice or typed (small typos
+ * are accepted). Each bird has a spaced-repetition schedule kept in
+ * localStorage, so birds that are often missed come up again soon while
+ * well-known ones are asked less and less often.
+ */
+
+const QUIZ_STORAGE_KEY = 'birds.quiz';
+
+// Wait before a bird is asked again, indexed by its box (0 = just missed)
+const QUIZ_BOX_INTERVALS_MS = [
+    60 * 1000,
+    10 * 60 * 1000,
+    24 * 60 * 60 * 1000,
+    3 * 24 * 60 * 60 * 1000,
+    7 * 24 * 60 * 60 * 1000,
+    14 * 24 * 60 * 60 * 1000,
+    30 * 24 * 60 * 60 * 1000
+];
+
+const QUIZ_CHOICE_COUNT = 4;
+
+// The current round: { birds, mode, bird, image, previousKey, asked, correct, answered }, null while closed
+let quizState = null;
+
+/**
+ * Reads the spaced-repetition records
+ *
+ * @returns {Object} - { [bird key]: { box, due, attempts, correct } }
+ */
+function loadQuizRecords() {
+    try {
+        return JSON.parse(localStorage.getItem(QUIZ_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading quiz records:', error);
+        return {};
+    }
+}
+
+/**
+ * Writes the spaced-repetition records
+ *
+ * @param {Object} records - { [bird key]: { box, due, attempts, correct } }
+ */
+function saveQuizRecords(records) {
+    localStorage.setItem(QUIZ_STORAGE_KEY, JSON.stringify(records));
+}
+
+/**
+ * Records an answer and schedules the bird's next appearance
+ * A right answer moves the bird up a box (longer wait), a wrong one back to box 0
+ *
+ * @param {Object} bird - Bird entry
+ * @param {boolean} isCorrect - Whether the answer was right
+ */
+function recordQuizAnswer(bird, isCorrect) {
+    const records = loadQuizRecords();
+    const key = checklistBirdKey(bird);
+    const record = records[key] || { box: 0, due: 0, attempts: 0, correct: 0 };
+
+    record.attempts++;
+    record.correct += isCorrect ? 1 : 0;
+    record.box = isCorrect ? Math.min(record.box + 1, QUIZ_BOX_INTERVALS_MS.length - 1) : 0;
+    record.due = Date.now() + QUIZ_BOX_INTERVALS_MS[record.box];
+
+    records[key] = record;
+    saveQuizRecords(records);
+}
+
+/**
+ * Picks the next bird to ask
+ * New and overdue birds come first, lower boxes (often missed) before higher
+ * ones; when nothing is due, the bird due soonest is asked. The bird just
+ * asked is never repeated straight away if there is any other choice.
+ *
+ * @param {Array} birds - Bird entries in the quiz
+ * @param {string} previousKey - Key of the bird asked last
+ * @returns {Object} - Bird entry
+ */
+function pickQuizBird(birds, previousKey) {
+    const records = loadQuizRecords();
+    const now = Date.now();
+    const candidates = birds.length > 1
+        ? birds.filter(bird => checklistBirdKey(bird) !== previousKey)
+        : birds;
+
+    const withRecords = candidates.map(bird => ({
+        bird,
+        record: records[checklistBirdKey(bird)] || { box: 0, due: 0 }
+    }));
+
+    const due = withRecords.filter(({ record }) => record.due <= now);
+    if (due.length > 0) {
+        const lowestBox = Math.min(...due.map(({ record }) => record.box));
+        const pool = due.filter(({ record }) => record.box === lowestBox);
+        return pool[Math.floor(Math.random() * pool.length)].bird;
+    }
+
+    withRecords.sort((a, b) => a.record.due - b.record.due);
+    return withRecords[0].bird;
+}
+
+/**
+ * A copy of an array in random order
+ *
+ * @param {Array} items
+ * @returns {Array}
+ */
+function shuffled(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Whether a typed answer names the bird, allowing for small typos
+ * The scientific name and names in other languages are accepted too
+ *
+ * @param {string} answer - What was typed
+ * @param {Object} bird - Bird entry
+ * @returns {boolean}
+ */
+function isQuizAnswerCorrect(answer, bird) {
+    const typed = normalizeSearchText(answer);
+    if (!typed) {
+        return false;
+    }
+
+    const names = [bird.common_name, bird.scientific_name, ...speciesNamesInAllLanguages(bird.scientific_name)];
+    return names.some(name => {
+        const expected = normalizeSearchText(name);
+        return expected && editDistance(typed, expected) <= Math.min(3, Math.floor(expected.length / 6));
+    });
+}
+
+/**
+ * Finds images for a quiz bird: from the image manifest or the cache first,
+ * otherwise a live lookup
+ *
+ * @param {Object} bird - Bird entry
+ * @returns {Promise<Array>} - Array of image objects
+ */
+async function fetchQuizImages(bird) {
+    const listed = getManifestImages(checklistBirdKey(bird));
+    if (listed) {
+        return listed;
+    }
+
+    const key = imageCacheKey(bird.common_name, bird.scientific_name);
+    const cached = await getCachedImages(key, providerSignature);
+
+    if (cached && cached.images.length > 0) {
+        return withCachedImageBytes(cached.images);
+    }
+    if (isOfflineMode()) {
+        return [];
+    }
+
+    const images = await fetchBirdImagesWithFallback(bird.common_name, bird.scientific_name);
+    if (images.length > 0) {
+        await putCachedImages(key, images, providerSignature);
+    }
+    return images;
+}
+
+/**
+ * Birds in the chosen categories of the loaded checklist, each bird once
+ *
+ * @param {Array} categoryNames - Categories to include
+ * @returns {Array} - Bird entries
+ */
+function quizBirdsForCategories(categoryNames) {
+    return allChecklistBirds({
+        categories: currentChecklist.categories.filter(category => categoryNames.includes(category.name))
+    });
+}
+
+/**
+ * Builds the quiz panel (once)
+ *
+ * @returns {HTMLElement} - The quiz element
+ */
+function getQuizElement() {
+    let quiz = document.querySelector('.quiz');
+    if (quiz) {
+        return quiz;
+    }
+
+    quiz = document.createElement('div');
+    quiz.className = 'quiz';
+    quiz.hidden = true;
+    quiz.setAttribute('role', 'dialog');
+    quiz.setAttribute('aria-modal', 'true');
+    quiz.innerHTML = `
+        <button type="button" class="quiz-close" aria-label="${t('quiz.close')}">×</button>
+        <h2>${t('quiz.title')}</h2>
+        <form class="quiz-setup">
+            <fieldset class="quiz-categories"><legend>${t('quiz.categories')}</legend></fieldset>
+            <fieldset>
+                <legend>${t('quiz.answerBy')}</legend>
+                <label><input type="radio" name="quiz-mode" value="choice" checked> ${t('quiz.multipleChoice')}</label>
+                <label><input type="radio" name="quiz-mode" value="typed"> ${t('quiz.typed')}</label>
+            </fieldset>
+            <button type="submit">${t('quiz.start')}</button>
+            <p class="quiz-setup-feedback" aria-live="polite"></p>
+        </form>
+        <div class="quiz-round" hidden>
+            <img class="quiz-image" alt="${t('quiz.imageAlt')}">
+            <div class="quiz-credit photo-credit"></div>
+            <div class="quiz-choices"></div>
+            <form class="quiz-typed">
+                <input type="text" class="quiz-answer" placeholder="${t('quiz.answerPlaceholder')}" autocomplete="off">
+                <button type="submit">${t('quiz.check')}</button>
+            </form>
+            <p class="quiz-feedback" aria-live="polite"></p>
+            <button type="button" class="quiz-next">${t('quiz.next')}</button>
+            <button type="button" class="quiz-stop">${t('quiz.backToSetup')}</button>
+            <p class="quiz-score"></p>
+        </div>
+        <details class="quiz-stats">
+            <summary>${t('quiz.stats')}</summary>
+            <table><tbody></tbody></table>
+        </details>`;
+
+    quiz.querySelector('.quiz-close').addEventListener('click', closeQuiz);
+    quiz.querySelector('.quiz-next').addEventListener('click', askQuizQuestion);
+    quiz.querySelector('.quiz-stop').addEventListener('click', showQuizSetup);
+
+    quiz.querySelector('.quiz-setup').addEventListener('submit', event => {
+        event.preventDefault();
+        startQuiz();
+    });
+
+    quiz.querySelector('.quiz-typed').addEventListener('submit', event => {
+        event.preventDefault();
+        const answer = quiz.querySelector('.quiz-answer').value;
+        answerQuizQuestion(isQuizAnswerCorrect(answer, quizState.bird));
+    });
+
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && !quiz.hidden) {
+            closeQuiz();
+        }
+    });
+
+    document.body.appendChild(quiz);
+    return quiz;
+}
+
+/**
+ * Shows the setup form with one checkbox per checklist category
+ */
+function showQuizSetup() {
+    const quiz = getQuizElement();
+    const categories = quiz.querySelector('.quiz-categories');
+
+    categories.querySelectorAll('label').forEach(label => label.remove());
+    for (const category of currentChecklist.categories) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = category.name;
+        checkbox.checked = true;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${category.name}`));
+        categories.appendChild(label);
+    }
+
+    quiz.querySelector('.quiz-setup').hidden = false;
+    quiz.querySelector('.quiz-setup-feedback').textContent = '';
+    quiz.querySelector('.quiz-round').hidden = true;
+    renderQuizStats();
+}
+
+/**
+ * Starts a round with the chosen categories and answer mode
+ */
+function startQuiz() {
+    const quiz = getQuizElement();
+    const categoryNames = Array.from(quiz.querySelectorAll('.quiz-categories input:checked'), input => input.value);
+    const birds = quizBirdsForCategories(categoryNames);
+
+    if (birds.length === 0) {
+        quiz.querySelector('.quiz-setup-feedback').textContent = t('quiz.noCategories');
+        return;
+    }
+    quiz.querySelector('.quiz-setup-feedback').textContent = '';
+
+    quizState = {
+        birds,
+        mode: quiz.querySelector('input[name="quiz-mode"]:checked').value,
+        bird: null,
+        image: null,
+        previousKey: null,
+        asked: 0,
+        correct: 0,
+        answered: false
+    };
+
+    quiz.querySelector('.quiz-setup').hidden = true;
+    quiz.querySelector('.quiz-round').hidden = false;
+    askQuizQuestion();
+}
+
+/**
+ * Picks the next bird and shows one of its photos
+ * Birds without any photo are skipped; the question gives up only once every
+ * bird of the round has been tried. The photo credit is shown without its
+ * link to the file page, whose name would give the answer away
+ */
+async function askQuizQuestion() {
+    const quiz = getQuizElement();
+    const feedback = quiz.querySelector('.quiz-feedback');
+    const choices = quiz.querySelector('.quiz-choices');
+    const typed = quiz.querySelector('.quiz-typed');
+    const state = quizState;
+
+    quiz.querySelector('.quiz-next').hidden = true;
+    choices.innerHTML = '';
+    feedback.textContent = t('quiz.findingPhoto');
+
+    let bird = null;
+    let images = [];
+    const triedKeys = new Set();
+    while (images.length === 0 && quizState === state) {
+        const untried = state.birds.filter(candidate => !triedKeys.has(checklistBirdKey(candidate)));
+        if (untried.length === 0) {
+            break;
+        }
+        bird = pickQuizBird(untried, state.previousKey);
+        triedKeys.add(checklistBirdKey(bird));
+        images = curateImages(checklistBirdKey(bird), await fetchQuizImages(bird));
+    }
+
+    // The quiz was closed or restarted while the photo was loading
+    if (quizState !== state) {
+        return;
+    }
+
+    if (images.length === 0) {
+        feedback.textContent = isOfflineMode()
+            ? t('quiz.noCachedPhotos')
+            : t('quiz.noPhotos');
+        return;
+    }
+
+    state.bird = bird;
+    state.previousKey = checklistBirdKey(bird);
+    state.answered = false;
+    feedback.textContent = '';
+
+    const image = images[Math.floor(Math.random() * images.length)];
+    state.image = image;
+    quiz.querySelector('.quiz-image').src = image.url;
+    renderPhotoCredit(quiz.querySelector('.quiz-credit'), image, false);
+
+    typed.hidden = state.mode !== 'typed';
+    if (state.mode === 'typed') {
+        const input = quiz.querySelector('.quiz-answer');
+        input.value = '';
+        input.disabled = false;
+        input.focus();
+        return;
+    }
+
+    // Multiple choice: the right answer plus other birds from the round
+    const others = shuffled(state.birds.filter(other => checklistBirdKey(other) !== state.previousKey))
+        .slice(0, QUIZ_CHOICE_COUNT - 1);
+    const options = shuffled([bird, ...others]);
+
+    for (const option of options) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = localSpeciesName(option);
+        button.addEventListener('click', () => {
+            button.classList.add(option === bird ? 'correct' : 'wrong');
+            answerQuizQuestion(option === bird);
+        });
+        choices.appendChild(button);
+    }
+}
+
+/**
+ * Scores an answer, updates the bird's schedule and shows the right name
+ *
+ * @param {boolean} isCorrect - Whether the answer was right
+ */
+function answerQuizQuestion(isCorrect) {
+    const quiz = getQuizElement();
+    const state = quizState;
+    if (!state || !state.bird || state.answered) {
+        return;
+    }
+
+    state.answered = true;
+    state.asked++;
+    state.correct += isCorrect ? 1 : 0;
+    recordQuizAnswer(state.bird, isCorrect);
+
+    const name = state.bird.scientific_name
+        ? `${localSpeciesName(state.bird)} (${state.bird.scientific_name})`
+        : localSpeciesName(state.bird);
+    const feedback = quiz.querySelector('.quiz-feedback');
+    feedback.textContent = isCorrect ? t('quiz.correct', { name }) : t('quiz.wrong', { name });
+    feedback.className = `quiz-feedback ${isCorrect ? 'correct' : 'wrong'}`;
+
+    quiz.querySelectorAll('.quiz-choices button').forEach(button => {
+        button.disabled = true;
+        if (button.textContent === localSpeciesName(state.bird)) {
+            button.classList.add('correct');
+        }
+    });
+    quiz.querySelector('.quiz-answer').disabled = true;
+    renderPhotoCredit(quiz.querySelector('.quiz-credit'), state.image);
+
+    quiz.querySelector('.quiz-score').textContent = t('quiz.score', { correct: state.correct, asked: state.asked });
+    quiz.querySelector('.quiz-next').hidden = false;
+    quiz.querySelector('.quiz-next').focus();
+    renderQuizStats();
+}
+
+/**
+ * Lists accuracy per bird of the loaded checklist, least known first
+ */
+function renderQuizStats() {
+    const quiz = getQuizElement();
+    const records = loadQuizRecords();
+    const body = quiz.querySelector('.quiz-stats tbody');
+
+    const rows = allChecklistBirds(currentChecklist)
+        .map(bird => ({ bird, record: records[checklistBirdKey(bird)] }))
+        .filter(({ record }) => record && record.attempts > 0)
+        .sort((a, b) => a.record.correct / a.record.attempts - b.record.correct / b.record.attempts);
+
+    body.innerHTML = '';
+    if (rows.length === 0) {
+        body.innerHTML = `<tr><td>${t('quiz.noAnswers')}</td></tr>`;
+        return;
+    }
+
+    for (const { bird, record } of rows) {
+        const row = document.createElement('tr');
+        const name = document.createElement('td');
+        name.textContent = localSpeciesName(bird);
+        const accuracy = document.createElement('td');
+        accuracy.textContent = `${Math.round(record.correct / record.attempts * 100)}% (${record.correct}/${record.attempts})`;
+        row.appendChild(name);
+        row.appendChild(accuracy);
+        body.appendChild(row);
+    }
+}
+
+/**
+ * Opens the quiz on its setup form
+ */
+function openQuiz() {
+    if (!currentChecklist) {
+        return;
+    }
+
+    const quiz = getQuizElement();
+    quizState = null;
+    showQuizSetup();
+    quiz.hidden = false;
+    document.body.classList.add('quiz-open');
+}
+
+/**
+ * Closes the quiz, ending the current round
+ */
+function closeQuiz() {
+    quizState = null;
+    getQuizElement().hidden = true;
+    document.body.classList.remove('quiz-open');
+}
@@ -1,252 +1,49 @@
 /**
  * BIRDS OF COSTA RICA GALLERY
  * 
- * This script loads bird data from a JSON file and creates a visual gallery.
- * It uses Wikimedia Commons API to fetch bird images, prioritizing scientific names
- * which typically have more standardized and higher quality images.
- * Clicking on an image loads alternative images for that bird if available.
+ * This script loads bird data from one or more checklist JSON files (see
+ * checklist.js) and creates a visual gallery.
+ * Bird images come from the configured image providers (see image-providers.js),
+ * by default Wikimedia Commons by scientific name, then Wikipedia by common name.
+ * Clicking on an image opens a full-screen viewer (see lightbox.js) with all the
+ * images found for that bird, where photos can be pinned or hidden (see
+ * curation.js), and each card can play recordings of its calls (see audio.js).
+ * Look-alike birds can be compared side by side (see compare.js).
+ * Resolved images are cached in IndexedDB (see image-cache.js) so later visits
+ * render straight away and the gallery can be used offline. A checklist can also
+ * come with an image manifest built ahead of time (see image-manifest.js), which
+ * saves the lookups altogether.
+ * UI text and species names follow the chosen language (see i18n.js).
  */
 
-/**
- * Fetches bird images from Wikimedia Commons using scientific name
- * Returns multiple images when available
- * 
- * @param {string} scientificName - Scientific name of the bird
- * @returns {Array} - Array of image objects or empty array if none found
- */
-async function fetchBirdImagesFromCommons(scientificName) {
-    try {
-        console.log(`Searching Commons for ${scientificName}`);
-        const images = [];
-        
-        // First approach: Try to find images directly in the category for this species
-        const categoryUrl = `https://commons.wikimedia.org/w/api.php?action=query&list=categorymembers&cmtitle=Category:${encodeURIComponent(scientificName)}&cmtype=file&prop=imageinfo&iiprop=url&format=json&origin=*`;
-        
-        const categoryResponse = await fetch(categoryUrl);
-        
-        if (categoryResponse.ok) {
-            const data = await categoryResponse.json();
-            
-            // Check if we found any images in this category
-            if (data.query && data.query.categorymembers && data.query.categorymembers.length > 0) {
-                // Filter for appropriate images (jpg/png and exclude maps/diagrams)
-                const filteredImages = data.query.categorymembers.filter(item => {
-                    const title = item.title.toLowerCase();
-                    return (title.endsWith('.jpg') || 
-                            title.endsWith('.jpeg') || 
-                            title.endsWith('.png')) &&
-                            !title.includes('map') &&
-                            !title.includes('distribution') &&
-                            !title.includes('range') &&
-                            !title.includes('diagram');
-                });
-                
-                // Get image info for up to 5 matching images
-                const maxImages = Math.min(filteredImages.length, 5);
-                for (let i = 0; i < maxImages; i++) {
-                    const imageTitle = filteredImages[i].title;
-                    const imageInfoUrl = `https://commons.wikimedia.org/w/api.php?action=query&titles=${encodeURIComponent(imageTitle)}&prop=imageinfo&iiprop=url&format=json&origin=*`;
-                    
-                    const imageInfoResponse = await fetch(imageInfoUrl);
-                    
-                    if (imageInfoResponse.ok) {
-                        const imageData = await imageInfoResponse.json();
-                        
-                        if (imageData.query && imageData.query.pages) {
-                            const pageId = Object.keys(imageData.query.pages)[0];
-                            const page = imageData.query.pages[pageId];
-                            
-                            if (page.imageinfo && page.imageinfo.length > 0) {
-                                console.log(`Found image for ${scientificName} in Commons category: ${imageTitle}`);
-                                images.push({
-                                    url: page.imageinfo[0].url,
-                                    link: `https://commons.wikimedia.org/wiki/File:${encodeURIComponent(imageTitle.replace('File:', ''))}`
-                                });
-                            }
-                        }
-                    }
-                }
-                
-                if (images.length > 0) {
-                    console.log(`Found ${images.length} images for ${scientificName} in Commons category`);
-                    return images;
-                }
-            }
-            
-            // Second approach: Try a direct search in Commons
-            const searchUrl = `https://commons.wikimedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(scientificName)}+incategory:Birds&srnamespace=6&format=json&origin=*`;
-            
-            const searchResponse = await fetch(searchUrl);
-            
-            if (searchResponse.ok) {
-                const searchData = await searchResponse.json();
-                
-                if (searchData.query && searchData.query.search && searchData.query.search.length > 0) {
-                    // Filter out non-image results and maps/diagrams
-                    const filteredResults = searchData.query.search.filter(item => {
-                        const title = item.title.toLowerCase();
-                        return (title.endsWith('.jpg') || 
-                                title.endsWith('.jpeg') || 
-                                title.endsWith('.png')) &&
-                                !title.includes('map') &&
-                                !title.includes('distribution') &&
-                                !title.includes('range') &&
-                                !title.includes('diagram');
-                    });
-                    
-                    // Get image info for up to 5 matching images
-                    const maxResults = Math.min(filteredResults.length, 5);
-                    for (let i = 0; i < maxResults; i++) {
-                        const imageTitle = filteredResults[i].title;
-                        const imageInfoUrl = `https://commons.wikimedia.org/w/api.php?action=query&titles=${encodeURIComponent(imageTitle)}&prop=imageinfo&iiprop=url&format=json&origin=*`;
-                        
-                        const imageInfoResponse = await fetch(imageInfoUrl);
-                        
-                        if (imageInfoResponse.ok) {
-                            const imageData = await imageInfoResponse.json();
-                            
-                            if (imageData.query && imageData.query.pages) {
-                                const pageId = Object.keys(imageData.query.pages)[0];
-                                const page = imageData.query.pages[pageId];
-                                
-                                if (page.imageinfo && page.imageinfo.length > 0) {
-                                    console.log(`Found image for ${scientificName} via direct search: ${imageTitle}`);
-                                    images.push({
-                                        url: page.imageinfo[0].url,
-                                        link: `https://commons.wikimedia.org/wiki/File:${encodeURIComponent(imageTitle.replace('File:', ''))}`
-                                    });
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        if (images.length === 0) {
-            console.log(`No suitable images found for ${scientificName} in Commons`);
-        } else {
-            console.log(`Found ${images.length} total images for ${scientificName}`);
-        }
-        
-        return images;
-    } catch (error) {
-        console.error(`Error searching Commons for ${scientificName}:`, error);
-        return [];
-    }
-}
+// Incremented on every loadBirds() call so stale background work can stop
+let loadGeneration = 0;
 
-/**
- * Fallback to search Wikipedia API for images using common name
- * Only used if Commons search fails
- * 
- * @param {string} commonName - Common name of the bird
- * @returns {Array} - Array of image objects or empty array if none found
- */
-async function fetchBirdImagesFromWikipedia(commonName) {
-    try {
-        console.log(`Falling back to Wikipedia search for ${commonName}`);
-        const images = [];
-        
-        // Try the Wikipedia REST API first - simpler and more reliable
-        const summaryUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(commonName.replace(/ /g, "_"))}`;
-        
-        const summaryResponse = await fetch(summaryUrl);
-        
-        if (summaryResponse.ok) {
-            const data = await summaryResponse.json();
-            
-            if (data.thumbnail && data.thumbnail.source) {
-                console.log(`Found image for ${commonName} using Wikipedia summary API`);
-                images.push({
-                    url: data.thumbnail.source,
-                    link: data.content_urls.desktop.page
-                });
-                
-                // Optionally try to get higher resolution version
-                if (data.originalimage && data.originalimage.source) {
-                    images.push({
-                        url: data.originalimage.source,
-                        link: data.content_urls.desktop.page
-                    });
-                }
-                
-                return images;
-            }
-        }
-        
-        // If that fails, try searching Wikipedia first
-        const searchUrl = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(commonName + " bird")}&format=json&origin=*`;
-        
-        const searchResponse = await fetch(searchUrl);
-        
-        if (searchResponse.ok) {
-            const searchData = await searchResponse.json();
-            
-            if (searchData.query && searchData.query.search && searchData.query.search.length > 0) {
-                const pageTitle = searchData.query.search[0].title;
-                console.log(`Found Wikipedia article: ${pageTitle} for ${commonName}`);
-                
-                // Now get the summary for this page which includes thumbnail
-                const pageUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(pageTitle.replace(/ /g, "_"))}`;
-                
-                const pageResponse = await fetch(pageUrl);
-                
-                if (pageResponse.ok) {
-                    const pageData = await pageResponse.json();
-                    
-                    if (pageData.thumbnail && pageData.thumbnail.source) {
-                        console.log(`Found image for ${commonName} via Wikipedia search`);
-                        images.push({
-                            url: pageData.thumbnail.source,
-                            link: pageData.content_urls.desktop.page
-                        });
-                        
-                        // Add higher resolution if available
-                        if (pageData.originalimage && pageData.originalimage.source) {
-                            images.push({
-                                url: pageData.originalimage.source,
-                                link: pageData.content_urls.desktop.page
-                            });
-                        }
-                    }
-                }
-            }
-        }
-        
-        if (images.length === 0) {
-            console.log(`No Wikipedia images found for ${commonName}`);
-        }
-        
-        return images;
-    } catch (error) {
-        console.error(`Error fetching Wikipedia images for ${commonName}:`, error);
-        return [];
-    }
-}
+// Signature of the image provider config in use, stored alongside cached lookups
+let providerSignature = '';
+
+// Loader queues for the cards currently in the gallery
+let imageLoader = null;
+let recordingLoader = null;
+
+// The checklist shown in the gallery, used by the quiz
+let currentChecklist = null;
 
 /**
- * Try to fetch images using scientific name first, then common name as fallback
+ * Builds the placeholder image URL for a bird without a photo
+ * Offline mode uses an inline SVG so no request is made
  * 
  * @param {string} commonName - Common name of the bird
- * @param {string} scientificName - Scientific name of the bird
- * @returns {Array} - Array of image objects or empty array if none found
+ * @returns {string} - Image URL
  */
-async function fetchBirdImagesWithFallback(commonName, scientificName) {
-    // First try using scientific name with Commons API (most reliable)
-    let images = [];
-    
-    if (scientificName) {
-        images = await fetchBirdImagesFromCommons(scientificName);
+function placeholderImageUrl(commonName) {
+    if (!isOfflineMode()) {
+        return `https://placehold.co/300x200?text=${encodeURIComponent(commonName)}`;
     }
     
-    // If that doesn't work, try the common name with Wikipedia
-    if (images.length === 0) {
-        console.log(`No Commons images found for ${scientificName}, trying Wikipedia with common name: ${commonName}`);
-        images = await fetchBirdImagesFromWikipedia(commonName);
-    }
-    
-    return images;
+    const label = commonName.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200"><rect width="100%" height="100%" fill="#ddd"/><text x="50%" y="50%" font-family="Arial" font-size="16" fill="#999" text-anchor="middle" dominant-baseline="middle">${label}</text></svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
 }
 
 /**
@@ -254,117 +51,525 @@ async function fetchBirdImagesWithFallback(commonName, scientificName) {
  * 
  * @param {string} commonName - Common name of the bird
  * @param {Array} images - Array of image information objects
+ * @param {string} scientificName - Scientific name of the bird
+ * @param {Object} speciesNames - Species names cache (see i18n.js), read from localStorage if not given
  * @returns {HTMLElement} - The card element
  */
-function createBirdCard(commonName, images) {
+function createBirdCard(commonName, images, scientificName = '', speciesNames = loadSpeciesNamesCache()) {
     const birdCard = document.createElement("div");
     birdCard.className = "bird-card";
+    birdCard.dataset.commonName = commonName;
+    birdCard.dataset.scientificName = scientificName;
     
     // Create image element
     const img = document.createElement("img");
     img.alt = commonName;
     
     // Use a placeholder initially
-    img.src = `https://placehold.co/300x200?text=${encodeURIComponent(commonName)}`;
+    img.src = placeholderImageUrl(commonName);
     
     // Add error handling for image loading failures
     img.onerror = function() {
         console.log(`Failed to load image for ${commonName}, using placeholder`);
-        this.src = `https://placehold.co/300x200?text=${encodeURIComponent(commonName)}`;
+        this.onerror = null; // Don't loop if the placeholder fails too
+        this.src = placeholderImageUrl(commonName);
     };
     
-    // If we already have images, use them
-    const hasImages = images && images.length > 0;
-    if (hasImages) {
-        img.src = images[0].url;
-        
-        // Add click handler for multiple images
-        if (images.length > 1) {
-            img.style.cursor = 'pointer';
-            
-            // Store the image collection and current index
-            birdCard.dataset.currentImageIndex = "0";
-            birdCard.dataset.imageCount = images.length.toString();
-            
-            // Store the images array directly on the card element
-            birdCard._images = images;
-            
-            // Add click handler to cycle images
-            img.addEventListener('click', function(event) {
-                event.preventDefault(); // Prevent navigation
-                
-                const card = this.parentNode;
-                const currentIndex = parseInt(card.dataset.currentImageIndex);
-                const imageCount = parseInt(card.dataset.imageCount);
-                
-                // Calculate next index with wrap-around
-                const nextIndex = (currentIndex + 1) % imageCount;
-                
-                // Update the image source
-                this.src = card._images[nextIndex].url;
-                
-                // Update the current index
-                card.dataset.currentImageIndex = nextIndex.toString();
-                
-                console.log(`Showing image ${nextIndex + 1}/${imageCount} for ${commonName}`);
-            });
-        }
-    }
+    // Clicking the image opens the photo viewer at the photo shown
+    img.style.cursor = 'pointer';
+    img.addEventListener('click', event => {
+        event.preventDefault();
+        openLightbox(birdCard, parseInt(birdCard.dataset.currentImageIndex || '0'));
+    });
+    
+    // Credit line for the photo shown, filled in once there is one
+    const credit = document.createElement("div");
+    credit.className = "photo-credit";
     
-    // Create link element - always to Wikipedia
+    // Create link element - to the chosen language's Wikipedia
     const link = document.createElement("a");
-    link.href = `https://en.wikipedia.org/wiki/${commonName.replace(/ /g, "_")}`;
+    link.href = localWikipediaUrl({ common_name: commonName, scientific_name: scientificName }, speciesNames);
     link.target = "_blank"; // Open in new tab
     link.rel = "noopener noreferrer"; // Added for security best practices
+    link.className = "bird-name";
     link.textContent = commonName;
     
     // Assemble the card
     birdCard.appendChild(img);
+    birdCard.appendChild(credit);
     birdCard.appendChild(link);
+    addSeenToggle(birdCard);
+    addAudioControls(birdCard);
+    addCompareToggle(birdCard);
+    addLoadStatus(birdCard);
+    
+    // If we already have images, use them
+    if (images && images.length > 0) {
+        setCardImages(birdCard, images);
+    }
     
     return birdCard;
 }
 
-// Remove the indicator dot code from createBirdCard function
-// (Delete the entire block that creates the indicator element)
+/**
+ * Fills a credit line element with the author and license of a photo
+ * The line links to the photo's file page unless told not to
+ * 
+ * @param {HTMLElement} creditElement - Element to fill
+ * @param {Object} image - Image information object
+ * @param {boolean} linked - Whether to link to the file page (the quiz hides it until answered)
+ */
+function renderPhotoCredit(creditElement, image, linked = true) {
+    creditElement.innerHTML = '';
+    
+    const attribution = image.attribution;
+    if (!attribution || !(attribution.artist || attribution.credit || attribution.license)) {
+        return;
+    }
+    
+    const parts = [attribution.artist || attribution.credit, attribution.license].filter(Boolean);
+    
+    const text = t('gallery.photoCredit', { credit: parts.join(' · ') });
+    if (!linked) {
+        creditElement.textContent = text;
+        return;
+    }
+    
+    const link = document.createElement("a");
+    link.href = image.link;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.textContent = text;
+    if (attribution.licenseUrl) {
+        link.title = attribution.licenseUrl;
+    }
+    
+    creditElement.appendChild(link);
+}
 
-// Add this function to create instructions
-function addInstructions() {
-    const container = document.getElementById("birds-container");
-    const instructions = document.createElement("div");
-    instructions.className = "instructions";
-    instructions.innerHTML = "<p>Click any bird image to view alternative photos when available.</p><p>Click any bird name to view wikipedia article.</p>";
-    instructions.style.padding = "10px";
-    instructions.style.marginBottom = "20px";
-    instructions.style.backgroundColor = "#e9f5ff";
-    instructions.style.borderRadius = "4px";
-    instructions.style.gridColumn = "1 / -1";
-    
-    // Insert instructions at the beginning of the container
-    container.insertBefore(instructions, container.firstChild);
+/**
+ * Shows one of a card's images along with its photo credit
+ * 
+ * @param {HTMLElement} card - The bird card
+ * @param {number} index - Index into the card's images
+ */
+function showCardImage(card, index) {
+    const image = card._images[index];
+    card.querySelector('img').src = image.url;
+    card.dataset.currentImageIndex = index.toString();
+    
+    const credit = card.querySelector('.photo-credit');
+    if (credit) {
+        renderPhotoCredit(credit, image);
+    }
+}
+
+/**
+ * Stores a card's images and shows the first one
+ * The rest can be browsed in the photo viewer
+ * 
+ * @param {HTMLElement} card - The bird card
+ * @param {Array} images - Array of image information objects
+ */
+function setCardImages(card, images) {
+    const img = card.querySelector('img');
+    if (!img || images.length === 0) {
+        return;
+    }
+    
+    card._allImages = images;
+    showCuratedImages(card);
+    setLoadStatus(card, 'found', images[0].via || images[0].source || '');
+}
+
+/**
+ * Applies the bird's pinned and hidden photos (see curation.js) to a card
+ * A card whose photos are all hidden goes back to the placeholder
+ * 
+ * @param {HTMLElement} card - The bird card
+ */
+function showCuratedImages(card) {
+    card._images = curateImages(cardBirdKey(card), card._allImages);
+    card.dataset.imageCount = card._images.length.toString();
+    
+    if (card._images.length > 0) {
+        showCardImage(card, 0);
+        return;
+    }
+    
+    card.querySelector('img').src = placeholderImageUrl(card.dataset.commonName);
+    card.querySelector('.photo-credit').innerHTML = '';
+    card.dataset.currentImageIndex = '0';
+}
+
+/**
+ * Fills cards from the image cache
+ * Marks each card with its cache state ('fresh', 'stale' or 'missing').
+ * The cards are read all at once rather than one after another, so a large
+ * checklist doesn't hold up the network lookups that follow
+ * 
+ * @param {Array} cards - Bird card elements
+ */
+async function showCachedImages(cards) {
+    await Promise.all(cards.map(async card => {
+        const key = imageCacheKey(card.dataset.commonName, card.dataset.scientificName);
+        const cached = await getCachedImages(key, providerSignature);
+        
+        if (!cached || cached.images.length === 0) {
+            card.dataset.cacheState = 'missing';
+            return;
+        }
+        
+        const images = await withCachedImageBytes(cached.images);
+        if (images.length === 0) {
+            card.dataset.cacheState = 'missing'; // Offline, and none of the photos' bytes are stored
+            return;
+        }
+        
+        card.dataset.cacheState = cached.stale ? 'stale' : 'fresh';
+        setCardImages(card, images);
+    }));
+}
+
+/**
+ * Looks up the images for one card and writes them back to the cache,
+ * including the image bytes where possible
+ * The card's load status follows the lookup (see load-status.js)
+ * 
+ * @param {HTMLElement} card - The bird card
+ */
+async function loadCardImages(card) {
+    const commonName = card.dataset.commonName;
+    const scientificName = card.dataset.scientificName;
+    setLoadStatus(card, 'loading');
+    
+    // Fetch images, noting the queries tried
+    const trace = { steps: [] };
+    let images = [];
+    try {
+        images = await fetchBirdImagesWithFallback(commonName, scientificName, trace);
+    } catch (error) {
+        console.error(`Error loading images for ${commonName}:`, error);
+        trace.steps.push({ via: '', query: scientificName || commonName, found: 0, error: error.message });
+    }
+    
+    // Empty results aren't cached, so the bird is looked up again next time
+    if (images.length > 0) {
+        await putCachedImages(imageCacheKey(commonName, scientificName), images, providerSignature);
+        card.dataset.cacheState = 'fresh';
+        setCardImages(card, images);
+        cacheImageBytes(images); // Not awaited, bytes are stored in the background
+    }
+    setLookupStatus(card, trace, images);
+}
+
+/**
+ * Lists the birds that have nothing cached while in offline mode
+ * A bird counts as cached once one of its photos has a local copy (sourceUrl
+ * is only set on images whose bytes are stored)
+ * 
+ * @param {HTMLElement} container - The gallery container
+ * @param {Array} cards - Bird card elements
+ */
+function showOfflineNotice(container, cards) {
+    const missing = cards
+        .filter(card => !(card._allImages || []).some(image => image.sourceUrl))
+        .map(card => card.dataset.commonName);
+    
+    const notice = document.createElement("div");
+    notice.className = "offline-notice";
+    
+    if (missing.length === 0) {
+        notice.textContent = t('offline.allCached');
+    } else {
+        notice.textContent = t('offline.missing', { missing: missing.length, total: cards.length, names: missing.join(', ') });
+    }
+    
+    // Show it just below the instructions
+    const instructions = container.querySelector('.instructions');
+    container.insertBefore(notice, instructions ? instructions.nextSibling : container.firstChild);
+}
+
+/**
+ * Lists problems found while loading the checklists
+ * 
+ * @param {HTMLElement} container - The gallery container
+ * @param {Array} issues - [{ severity, message }] from loadChecklists()
+ */
+function showChecklistIssues(container, issues) {
+    if (issues.length === 0) {
+        return;
+    }
+    
+    const panel = document.createElement("div");
+    panel.className = "checklist-issues";
+    
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const heading = document.createElement("strong");
+    heading.textContent = errorCount > 0
+        ? t('checklists.errors', { count: errorCount })
+        : t('checklists.warnings');
+    panel.appendChild(heading);
+    
+    const list = document.createElement("ul");
+    for (const issue of issues) {
+        const item = document.createElement("li");
+        item.className = issue.severity;
+        item.textContent = issue.message;
+        list.appendChild(item);
+    }
+    panel.appendChild(list);
+    
+    container.appendChild(panel);
+}
+
+/**
+ * Sets up the checklist selector
+ * Ticking more than one checklist shows them merged; the choice is kept in the URL
+ */
+async function setupChecklistSelector() {
+    const available = await fetchChecklistIndex();
+    const selected = checklistFilesFromUrl();
+    
+    // Checklists named in the URL but missing from the index are offered too
+    for (const file of selected) {
+        if (!available.some(entry => entry.file === file)) {
+            available.push({ file, label: file });
+        }
+    }
+    
+    if (available.length < 2) {
+        return; // Nothing to choose from
+    }
+    
+    const selector = document.createElement('fieldset');
+    selector.className = 'checklist-selector';
+    
+    const legend = document.createElement('legend');
+    legend.textContent = t('checklists.legend');
+    selector.appendChild(legend);
+    
+    for (const entry of available) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = entry.file;
+        checkbox.checked = selected.includes(entry.file);
+        
+        checkbox.addEventListener('change', () => {
+            const files = Array.from(selector.querySelectorAll('input:checked'), input => input.value);
+            if (files.length === 0) {
+                checkbox.checked = true; // Always keep at least one checklist
+                return;
+            }
+            setChecklistFilesInUrl(files);
+            loadBirds();
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${entry.label || entry.file}`));
+        selector.appendChild(label);
+    }
+    
+    document.body.insertBefore(selector, document.getElementById('birds-container'));
+}
+
+/**
+ * Sets up the switcher between checklist categories, families and A-Z
+ * Changing it reloads the gallery
+ */
+function setupViewSwitcher() {
+    const label = document.createElement('label');
+    label.className = 'view-switcher';
+    label.appendChild(document.createTextNode(t('view.label')));
+    
+    const select = document.createElement('select');
+    for (const [value, messageKey] of Object.entries(GALLERY_VIEWS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = t(messageKey);
+        select.appendChild(option);
+    }
+    select.value = readViewFromUrl();
+    select.addEventListener('change', () => {
+        writeViewToUrl(select.value);
+        loadBirds();
+    });
+    
+    label.appendChild(select);
+    document.body.insertBefore(label, document.getElementById('birds-container'));
+}
+
+/**
+ * Adds the button that opens the identification quiz (see quiz.js)
+ */
+function setupQuizButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'quiz-button';
+    button.textContent = t('quiz.open');
+    button.addEventListener('click', openQuiz);
+    document.body.insertBefore(button, document.getElementById('birds-container'));
+}
+
+/**
+ * Adds the button that opens the checklist editor (see checklist-editor.js)
+ */
+function setupEditorButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'editor-button';
+    button.textContent = t('editor.open');
+    button.addEventListener('click', openChecklistEditor);
+    document.body.insertBefore(button, document.getElementById('birds-container'));
+}
+
+/**
+ * Adds the button that opens the printable field guide (see field-guide.js)
+ */
+function setupFieldGuideButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'field-guide-button';
+    button.textContent = t('fieldGuide.open');
+    button.addEventListener('click', openFieldGuide);
+    document.body.insertBefore(button, document.getElementById('birds-container'));
+}
+
+/**
+ * Adds the button that opens the list of birds without photos (see load-status.js)
+ */
+function setupDiagnosticsButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'diagnostics-button';
+    button.textContent = t('diagnostics.open');
+    button.addEventListener('click', openDiagnostics);
+    document.body.insertBefore(button, document.getElementById('birds-container'));
+}
+
+/**
+ * Adds the button that exports the pinned and hidden photos (see curation.js)
+ */
+function setupCurationExportButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'curation-export-button';
+    button.textContent = t('curation.export');
+    button.title = t('curation.exportHint');
+    button.addEventListener('click', () => {
+        if (currentChecklist) {
+            exportCuration();
+        }
+    });
+    document.body.insertBefore(button, document.getElementById('birds-container'));
+}
+
+/**
+ * Sets up the language switcher (see i18n.js)
+ * Changing it reloads the page in the new language
+ */
+function setupLanguageSwitcher() {
+    const label = document.createElement('label');
+    label.className = 'language-switcher';
+    label.appendChild(document.createTextNode(t('language.label')));
+    
+    const select = document.createElement('select');
+    for (const [value, name] of Object.entries(UI_LANGUAGES)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = currentLanguage;
+    select.addEventListener('change', () => setLanguage(select.value));
+    
+    label.appendChild(select);
+    document.body.insertBefore(label, document.getElementById('birds-container'));
+}
+
+/**
+ * Sets up the offline mode switch
+ * Changing it reloads the gallery
+ */
+function setupOfflineToggle() {
+    const label = document.createElement('label');
+    label.className = 'offline-toggle';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = isOfflineMode();
+    checkbox.addEventListener('change', function() {
+        setOfflineMode(this.checked);
+        loadBirds();
+    });
+    
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(t('offline.toggle')));
+    document.body.insertBefore(label, document.getElementById('birds-container'));
 }
 
 /**
  * Loads bird data from JSON and creates the gallery with lazy loading for images
+ * Cached images are shown first, the rest load as they scroll into view unless offline
  */
 async function loadBirds() {
+    const generation = ++loadGeneration;
     const container = document.getElementById("birds-container");
-    container.innerHTML = '<div class="loading">Loading bird data...</div>';
+    
+    // Stop loading images for the cards about to be replaced
+    if (imageLoader) {
+        imageLoader.stop();
+        imageLoader = null;
+    }
+    if (recordingLoader) {
+        recordingLoader.stop();
+        recordingLoader = null;
+    }
+    stopRecording();
+    clearCompareSelection();
+    container.innerHTML = `<div class="loading">${t('gallery.loading')}</div>`;
 
     try {
-        // Fetch and parse the bird data
-        const response = await fetch("birds_of_costa_rica.json");
-        if (!response.ok) {
-            throw new Error(`Failed to fetch bird data: ${response.status}`);
+        // Fetch, validate and merge the chosen checklists, or use the edited draft of them
+        const files = checklistFilesFromUrl();
+        const draft = loadChecklistDraft(files);
+        const { checklist, issues } = draft
+            ? validateChecklist(draft, t('editor.draftSource'))
+            : await loadChecklists(files);
+        
+        // Pinned and hidden photos shared next to the checklists
+        issues.push(...await loadCurationFiles(files));
+        
+        // Images listed ahead of time by build-manifest.js
+        await loadImageManifests(files);
+        
+        if (generation !== loadGeneration) {
+            return; // A newer load has started
+        }
+        
+        if (!checklist) {
+            container.innerHTML = '';
+            showChecklistIssues(container, issues);
+            return;
         }
         
-        const data = await response.json();
         container.innerHTML = ''; // Clear loading message
         
+        // Image sources can be set per checklist (config.js takes precedence)
+        providerSignature = configureImageProviders(checklist.image_providers);
+        currentChecklist = checklist;
+        
+        // Report problems in the checklist files, the valid entries still load
+        showChecklistIssues(container, issues);
+        if (draft) {
+            showChecklistDraftNotice(container);
+        }
+        
         // Add instructions for clicking images
         const instructions = document.createElement("div");
         instructions.className = "instructions";
-        instructions.innerHTML = "<p>Click any bird image to view alternative photos when available.</p><p>Click any bird name to view wikipedia article.</p>";
+        instructions.innerHTML = `<p>${t('gallery.instructionsPhotos')}</p><p>${t('gallery.instructionsNames')}</p>`;
         instructions.style.padding = "10px";
         instructions.style.marginBottom = "20px";
         instructions.style.backgroundColor = "#e9f5ff";
@@ -373,142 +578,225 @@ async function loadBirds() {
         container.appendChild(instructions);
         
         // Update page title and description from JSON if available
-        if (data.title) {
-            document.title = data.title;
+        if (checklist.title) {
+            document.title = checklist.title;
             const pageTitle = document.querySelector('h1');
-            if (pageTitle) pageTitle.textContent = data.title;
+            if (pageTitle) pageTitle.textContent = checklist.title;
         }
         
-        if (data.description) {
+        if (checklist.description) {
             const descriptionElement = document.querySelector('p');
-            if (descriptionElement) descriptionElement.textContent = data.description;
+            if (descriptionElement) descriptionElement.textContent = checklist.description;
         }
 
-        // Process each category of birds (exclude title and description properties)
-        const categories = Object.entries(data).filter(([key]) => 
-            key !== 'title' && key !== 'description');
-            
+        // Arrange the birds for the chosen view (checklist categories, by family or A-Z)
+        const groups = await groupChecklistForView(checklist, readViewFromUrl());
+        
+        if (generation !== loadGeneration) {
+            return; // A newer load has started
+        }
+        
         // First pass: Create all cards with placeholders
-        for (const [category, birds] of categories) {
+        const speciesNames = loadSpeciesNamesCache(); // Read once for the cards' Wikipedia links
+        for (const { name: category, birds } of groups) {
             // Create category header
             const categoryTitle = document.createElement("div");
             categoryTitle.className = "category";
             categoryTitle.innerText = category;
+            categoryTitle.dataset.category = category;
+            categoryTitle.dataset.order = String(container.children.length);
+            const categoryCount = document.createElement("span");
+            categoryCount.className = "category-count";
+            categoryTitle.appendChild(categoryCount);
             container.appendChild(categoryTitle);
             
             // Create placeholder cards for all birds
             for (const bird of birds) {
                 // Create a card with placeholder image
-                const card = createBirdCard(bird.common_name, []);
-                card.dataset.commonName = bird.common_name;
-                card.dataset.scientificName = bird.scientific_name || '';
+                const card = createBirdCard(bird.common_name, [], bird.scientific_name || '', speciesNames);
+                addBirdDetails(card, bird);
+                card.dataset.order = String(container.children.length);
                 container.appendChild(card);
             }
         }
         
-        // Second pass: Load images asynchronously
-        setTimeout(async () => {
-            const cards = document.querySelectorAll('.bird-card');
-            for (const card of cards) {
-                try {
-                    const commonName = card.dataset.commonName;
-                    const scientificName = card.dataset.scientificName;
-                    
-                    // Fetch images
-                    const images = await fetchBirdImagesWithFallback(commonName, scientificName);
-                    
-                    if (images && images.length > 0) {
-                        // Update the image
-                        const img = card.querySelector('img');
-                        if (img) {
-                            img.src = images[0].url;
-                            
-                            // Set up click handler for multiple images
-                            if (images.length > 1) {
-                                img.style.cursor = 'pointer';
-                                card.dataset.currentImageIndex = "0";
-                                card.dataset.imageCount = images.length.toString();
-                                card._images = images;
-                                
-                                // Add click handler to cycle images
-                                img.addEventListener('click', function(event) {
-                                    event.preventDefault();
-                                    const card = this.parentNode;
-                                    const currentIndex = parseInt(card.dataset.currentImageIndex);
-                                    const imageCount = parseInt(card.dataset.imageCount);
-                                    const nextIndex = (currentIndex + 1) % imageCount;
-                                    this.src = card._images[nextIndex].url;
-                                    card.dataset.currentImageIndex = nextIndex.toString();
-                                });
-                            }
-                        }
-                    }
-                    
-                    // Small delay to prevent overwhelming APIs
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    
-                } catch (error) {
-                    console.error(`Error loading images for ${card.dataset.commonName}:`, error);
-                }
+        // Show seen counts and keep any filter the user had set
+        renderCategoryChips(groups.map(group => group.name));
+        renderDetailFilters(allChecklistBirds(checklist));
+        updateSightingSummary();
+        applyFilters();
+        
+        // Second pass: show cached images right away, then refresh the rest from the network
+        const cards = Array.from(container.querySelectorAll('.bird-card'));
+        
+        // Look-alikes saved in the checklist get "Compare with ..." links
+        renderConfusionLinks(cards, checklist);
+        
+        // Species names in the chosen language arrive from Wikidata in the background
+        localizeCards(cards).then(() => {
+            if (generation === loadGeneration) {
+                applyFilters(); // The search can match the new names
+                renderConfusionLinks(cards, checklist);
             }
-        }, 100); // Start loading images shortly after the grid is rendered
+        });
+        
+        // Birds in the image manifest need no lookup, the rest come from the cache or the network
+        const cardsToLookUp = showManifestImages(cards);
+        await showCachedImages(cardsToLookUp);
+        
+        if (generation !== loadGeneration) {
+            return; // A newer load has replaced these cards
+        }
+        
+        const cardsWithoutRecordings = showCachedRecordings(cards);
+        
+        if (isOfflineMode()) {
+            showOfflineNotice(container, cards);
+            return;
+        }
+        
+        // Cards without a fresh cache entry are looked up as they scroll into view
+        imageLoader = createImageLoader(loadCardImages);
+        cardsToLookUp
+            .filter(card => card.dataset.cacheState !== 'fresh')
+            .forEach(card => imageLoader.observe(card));
+        
+        // Recordings are looked up the same way, a couple at a time
+        recordingLoader = createImageLoader(loadCardRecordings, AUDIO_LOADER_CONCURRENCY);
+        cardsWithoutRecordings.forEach(card => recordingLoader.observe(card));
         
     } catch (error) {
         console.error("Error loading birds:", error);
-        container.innerHTML = `<p class="error">Failed to load bird data. Please try again later.</p>`;
+        container.innerHTML = `<p class="error">${t('gallery.loadFailed')}</p>`;
     }
 }
 
+/**
+ * Shows the birds that match the search text, the category chips, the
+ * seen/unseen filter and the details filters, and hides categories left
+ * without any visible birds. Within each category birds follow the chosen
+ * sort order; while searching, the best matches come first among equals.
+ * The filter state is kept in the URL.
+ */
+function applyFilters() {
+    const searchInput = document.querySelector('.search-input');
+    const seenFilter = document.querySelector('.seen-filter');
+    const query = searchInput ? searchInput.value.trim() : '';
+    const container = document.getElementById('birds-container');
+    
+    // Group the cards under their category headers
+    const groups = [];
+    Array.from(container.children).forEach(element => {
+        if (element.classList.contains('category')) {
+            groups.push({ header: element, cards: [] });
+        } else if (element.classList.contains('bird-card') && groups.length > 0) {
+            groups[groups.length - 1].cards.push(element);
+        }
+    });
+    
+    let shownCount = 0;
+    let totalCount = 0;
+    
+    for (const group of groups) {
+        const { header, cards } = group;
+        const categoryShown = isCategorySelected(header.dataset.category);
+        
+        const scored = cards.map(card => ({
+            card,
+            score: categoryShown && matchesSeenFilter(card) && matchesDetailFilters(card) ? scoreCardMatch(card, query) : 0
+        }));
+        
+        // Chosen sort order, then best matches first, then checklist order
+        scored.sort((a, b) =>
+            compareCardDetails(a.card, b.card) || b.score - a.score || a.card.dataset.order - b.card.dataset.order);
+        
+        let visibleInCategory = 0;
+        for (const { card, score } of scored) {
+            card.style.display = score > 0 ? '' : 'none';
+            visibleInCategory += score > 0 ? 1 : 0;
+        }
+        group.cards = scored.map(({ card }) => card);
+        group.bestScore = scored.length > 0 ? Math.max(...scored.map(({ score }) => score)) : 0;
+        
+        // Hide categories without any visible birds
+        header.style.display = visibleInCategory > 0 ? '' : 'none';
+        shownCount += visibleInCategory;
+        totalCount += cards.length;
+    }
+    
+    // While searching, the categories holding the best matches come first
+    groups.sort((a, b) =>
+        (query ? b.bestScore - a.bestScore : 0) || a.header.dataset.order - b.header.dataset.order);
+    
+    // Only move elements that are out of place
+    let previous = null;
+    for (const element of groups.flatMap(({ header, cards }) => [header, ...cards])) {
+        const expected = previous ? previous.nextElementSibling : container.firstElementChild;
+        if (expected !== element) {
+            if (previous) {
+                previous.after(element);
+            } else {
+                container.prepend(element);
+            }
+        }
+        previous = element;
+    }
+    
+    const count = document.querySelector('.filter-count');
+    if (count) {
+        count.textContent = t('filter.count', { shown: shownCount, total: totalCount });
+    }
+    
+    writeFilterStateToUrl({
+        query,
+        categories: Array.from(selectedCategories),
+        seen: seenFilter ? seenFilter.value : 'all',
+        ...detailFilters
+    });
+}
+
 /**
  * Sets up search/filtering functionality
+ * The search text and category chips start from the URL, if it has any
  */
 function setupFiltering() {
+    const initialState = readFilterStateFromUrl();
+    initialState.categories.forEach(category => selectedCategories.add(category));
+    
     const searchInput = document.createElement('input');
-    searchInput.type = 'text';
-    searchInput.placeholder = 'Filter birds...';
+    searchInput.type = 'search';
+    searchInput.placeholder = t('filter.placeholder');
     searchInput.className = 'search-input';
+    searchInput.value = initialState.query;
     document.body.insertBefore(searchInput, document.getElementById('birds-container'));
     
-    searchInput.addEventListener('input', function() {
-        const filter = this.value.toLowerCase();
-        const categories = document.querySelectorAll('.category');
-        
-        // Create a map to track which categories have visible birds
-        const categoryVisibility = new Map();
-        categories.forEach(cat => categoryVisibility.set(cat, false));
-        
-        // Track the current category
-        let currentCategory = null;
-        
-        // Check each element in the birds container
-        Array.from(document.getElementById('birds-container').children).forEach(element => {
-            if (element.classList.contains('category')) {
-                currentCategory = element;
-                // Initially hide all categories
-                element.style.display = 'none';
-            } else if (element.classList.contains('bird-card')) {
-                const birdName = element.querySelector('a').textContent.toLowerCase();
-                
-                // Show bird if name matches the filter
-                const isVisible = birdName.includes(filter);
-                element.style.display = isVisible ? '' : 'none';
-                
-                // If this bird is visible, its category should be visible too
-                if (isVisible && currentCategory) {
-                    categoryVisibility.set(currentCategory, true);
-                }
-            }
-        });
-        
-        // Update category visibility
-        categoryVisibility.forEach((isVisible, category) => {
-            category.style.display = isVisible ? '' : 'none';
-        });
-    });
+    const chips = document.createElement('div');
+    chips.className = 'category-chips';
+    document.body.insertBefore(chips, document.getElementById('birds-container'));
+    
+    // Abundance, residency, month and habitat filters and the sort order
+    document.body.insertBefore(createDetailFilters(initialState), document.getElementById('birds-container'));
+    
+    const count = document.createElement('div');
+    count.className = 'filter-count';
+    document.body.insertBefore(count, document.getElementById('birds-container'));
+    
+    searchInput.addEventListener('input', applyFilters);
 }
 
 // Initialize the app when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', () => {
+    translateStaticText(); // Show the page in the chosen language
     loadBirds(); // Load birds and create gallery
     setupFiltering(); // Setup search functionality
+    setupViewSwitcher(); // Setup grouping by checklist, family or A-Z
+    setupSightingsBar(); // Setup life list counts, filter and export
+    setupQuizButton(); // Setup identification quiz
+    setupEditorButton(); // Setup checklist editing
+    setupCurationExportButton(); // Setup photo choices export
+    setupFieldGuideButton(); // Setup printing and the field guide download
+    setupDiagnosticsButton(); // Setup the list of birds without photos
+    setupOfflineToggle(); // Setup offline mode switch
+    setupChecklistSelector(); // Setup checklist choice
+    setupLanguageSwitcher(); // Setup language choice
 });
\ No newline at end of file
@@ -0,0 +1,293 @@
+/**
+ * SEARCH
+ *
+ * Matching for the filter box: common and scientific names are both searched,
+ * as well as the species' names in other languages (see i18n.js),
+ * accents and punctuation are ignored and small typos are forgiven
+ * ("aracary" finds "Fiery-billed Aracari"). Each match gets a score so the
+ * best matches can be listed first.
+ *
+ * Also holds the filter state (search text, chosen category chips, the
+ * seen/unseen filter and the details filters and sort order from
+ * bird-details.js), which is mirrored in the URL so a filtered view can be
+ * bookmarked and shared.
+ */
+
+// Scores for the different kinds of match, higher is better
+const SEARCH_SCORE_EXACT = 100;
+const SEARCH_SCORE_PREFIX = 90;
+const SEARCH_SCORE_WORD = 80;
+const SEARCH_SCORE_SUBSTRING = 70;
+const SEARCH_SCORE_WORD_PREFIX = 60;
+const SEARCH_SCORE_WORD_SUBSTRING = 50;
+const SEARCH_SCORE_FUZZY = 40;
+
+// Categories picked with the chips, empty means all categories
+const selectedCategories = new Set();
+
+/**
+ * Lower-cases text and strips accents, hyphens and other punctuation
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} - e.g. "Cherrie's Tanager" becomes "cherries tanager"
+ */
+function normalizeSearchText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['\u2019]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Edit distance between two strings, counting swapped neighbours as one edit
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * How many typos a search word of this length may contain
+ *
+ * @param {string} word - Normalized search word
+ * @returns {number}
+ */
+function allowedTypos(word) {
+    if (word.length <= 3) {
+        return 0;
+    }
+    return word.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Scores how well a search matches one name
+ * Whole-name matches score highest; otherwise every search word has to match
+ * a word of the name, exactly, as a prefix, or with a few typos
+ *
+ * @param {string} query - Normalized search text
+ * @param {string} name - Name to search in
+ * @returns {number} - 0 for no match, higher for better matches
+ */
+function scoreNameMatch(query, name) {
+    const normalizedName = normalizeSearchText(name);
+    if (!normalizedName) {
+        return 0;
+    }
+
+    if (normalizedName === query) {
+        return SEARCH_SCORE_EXACT;
+    }
+    if (normalizedName.startsWith(query)) {
+        return SEARCH_SCORE_PREFIX;
+    }
+    if (` ${normalizedName} `.includes(` ${query} `)) {
+        return SEARCH_SCORE_WORD;
+    }
+    if (normalizedName.includes(query)) {
+        return SEARCH_SCORE_SUBSTRING;
+    }
+
+    const nameWords = normalizedName.split(' ');
+    let total = 0;
+
+    for (const queryWord of query.split(' ')) {
+        let best = 0;
+
+        for (const nameWord of nameWords) {
+            if (nameWord.startsWith(queryWord)) {
+                best = Math.max(best, SEARCH_SCORE_WORD_PREFIX);
+            } else if (nameWord.includes(queryWord)) {
+                best = Math.max(best, SEARCH_SCORE_WORD_SUBSTRING);
+            } else {
+                // Compare with the whole word and with its start, for words still being typed
+                const typos = Math.min(
+                    editDistance(queryWord, nameWord),
+                    editDistance(queryWord, nameWord.slice(0, queryWord.length))
+                );
+                if (typos <= allowedTypos(queryWord)) {
+                    best = Math.max(best, SEARCH_SCORE_FUZZY - typos * 10);
+                }
+            }
+        }
+
+        if (best === 0) {
+            return 0; // Every search word has to match something
+        }
+        total += best;
+    }
+
+    return total / query.split(' ').length;
+}
+
+/**
+ * The names a card can be found by, including its names in every language
+ * looked up so far (see localizeCards)
+ *
+ * @param {HTMLElement} card - The bird card
+ * @returns {Array} - Names to search
+ */
+function cardSearchNames(card) {
+    return [card.dataset.commonName, card.dataset.scientificName, ...(card._localNames || [])];
+}
+
+/**
+ * Scores how well a search matches a bird card, using the best of its names
+ *
+ * @param {HTMLElement} card - The bird card
+ * @param {string} query - Search text as typed
+ * @returns {number} - 0 for no match, higher for better matches (1 when there is no search)
+ */
+function scoreCardMatch(card, query) {
+    const normalizedQuery = normalizeSearchText(query);
+    if (!normalizedQuery) {
+        return 1;
+    }
+
+    return Math.max(...cardSearchNames(card).map(name => scoreNameMatch(normalizedQuery, name)));
+}
+
+// URL parameters of the details filters (see bird-details.js), left out when empty
+const DETAIL_FILTER_PARAMS = ['abundance', 'residency', 'month', 'habitat'];
+
+/**
+ * Reads the filter state from the URL, e.g. ?q=egret&category=Marine%20and%20Coastal%20Birds&seen=unseen
+ * or ?abundance=common&month=12&sort=name
+ *
+ * @returns {Object} - { query, categories, seen, abundance, residency, month, habitat, sort }
+ */
+function readFilterStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {
+        query: params.get('q') || '',
+        categories: params.getAll('category'),
+        seen: params.get('seen') || 'all',
+        sort: params.get('sort') || 'checklist'
+    };
+    for (const param of DETAIL_FILTER_PARAMS) {
+        state[param] = params.get(param) || '';
+    }
+    return state;
+}
+
+/**
+ * Writes the filter state to the URL without adding a history entry
+ * Other parameters (such as the chosen checklists) are left alone
+ *
+ * @param {Object} state - { query, categories, seen, abundance, residency, month, habitat, sort }
+ */
+function writeFilterStateToUrl(state) {
+    const params = new URLSearchParams(window.location.search);
+
+    params.delete('q');
+    params.delete('category');
+    params.delete('seen');
+    params.delete('sort');
+    DETAIL_FILTER_PARAMS.forEach(param => params.delete(param));
+
+    if (state.query) {
+        params.set('q', state.query);
+    }
+    for (const category of state.categories) {
+        params.append('category', category);
+    }
+    if (state.seen && state.seen !== 'all') {
+        params.set('seen', state.seen);
+    }
+    for (const param of DETAIL_FILTER_PARAMS) {
+        if (state[param]) {
+            params.set(param, state[param]);
+        }
+    }
+    if (state.sort && state.sort !== 'checklist') {
+        params.set('sort', state.sort);
+    }
+
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+/**
+ * Whether a category passes the chip selection
+ *
+ * @param {string} category - Category name
+ * @returns {boolean}
+ */
+function isCategorySelected(category) {
+    return selectedCategories.size === 0 || selectedCategories.has(category);
+}
+
+/**
+ * Shows one chip per category; clicking chips narrows the gallery to those categories
+ * Chosen categories that aren't in the current checklist are dropped
+ *
+ * @param {Array} categories - Category names, in checklist order
+ */
+function renderCategoryChips(categories) {
+    const chips = document.querySelector('.category-chips');
+    if (!chips) {
+        return;
+    }
+
+    for (const category of Array.from(selectedCategories)) {
+        if (!categories.includes(category)) {
+            selectedCategories.delete(category);
+        }
+    }
+
+    chips.innerHTML = '';
+
+    const addChip = (text, isActive, onClick) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'category-chip';
+        chip.classList.toggle('active', isActive);
+        chip.setAttribute('aria-pressed', String(isActive));
+        chip.textContent = text;
+        chip.addEventListener('click', () => {
+            onClick();
+            renderCategoryChips(categories);
+            applyFilters();
+        });
+        chips.appendChild(chip);
+    };
+
+    addChip(t('filter.allCategories'), selectedCategories.size === 0, () => selectedCategories.clear());
+
+    for (const category of categories) {
+        addChip(category, selectedCategories.has(category), () => {
+            if (selectedCategories.has(category)) {
+                selectedCategories.delete(category);
+            } else {
+                selectedCategories.add(category);
+            }
+        });
+    }
+}
@@ -0,0 +1,588 @@
+/**
+ * SIGHTINGS
+ *
+ * A personal life list: each card gets a "seen" toggle that records when and
+ * where the bird was seen, kept in localStorage. A bird can have any number
+ * of sightings (one per date and place), since eBird wants each observation.
+ * Sightings can be exported and imported as CSV, and exported in the eBird
+ * record format for upload.
+ */
+
+const SIGHTINGS_STORAGE_KEY = 'birds.sightings';
+
+// Columns of the app's own CSV format
+const SIGHTINGS_CSV_COLUMNS = ['Common Name', 'Scientific Name', 'Date', 'Place', 'Notes'];
+
+// eBird record format: no header row, sightings are imported as incidental observations
+const EBIRD_PROTOCOL = 'incidental';
+
+/**
+ * Reads all sightings
+ * Sightings saved when a bird could only have one are read as a list of one
+ *
+ * @returns {Object} - Lists of sightings keyed by checklistBirdKey()
+ */
+function loadSightings() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(SIGHTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading sightings:', error);
+        return {};
+    }
+
+    const sightings = {};
+    for (const [key, value] of Object.entries(stored)) {
+        sightings[key] = Array.isArray(value) ? value : [value];
+    }
+    return sightings;
+}
+
+/**
+ * Writes all sightings
+ * Birds left without sightings are dropped
+ *
+ * @param {Object} sightings - Lists of sightings keyed by checklistBirdKey()
+ */
+function saveSightings(sightings) {
+    for (const [key, list] of Object.entries(sightings)) {
+        if (list.length === 0) {
+            delete sightings[key];
+        }
+    }
+    localStorage.setItem(SIGHTINGS_STORAGE_KEY, JSON.stringify(sightings));
+}
+
+/**
+ * Whether two sightings of a bird are the same observation: same date and place
+ *
+ * @param {Object} a - Sighting record
+ * @param {Object} b - Sighting record
+ * @returns {boolean}
+ */
+function isSameSighting(a, b) {
+    const place = sighting => (sighting.place || '').trim().toLowerCase();
+    return a.date === b.date && place(a) === place(b);
+}
+
+/**
+ * Adds a sighting to a bird's list, unless the same observation is already there
+ * A repeated observation only fills in notes the recorded one is missing
+ *
+ * @param {Object} sightings - Lists of sightings keyed by checklistBirdKey()
+ * @param {Object} record - { common_name, scientific_name, date, place, notes }
+ * @returns {boolean} - Whether it was added as a new sighting
+ */
+function addSighting(sightings, record) {
+    const key = checklistBirdKey(record);
+    const list = sightings[key] || (sightings[key] = []);
+    const existing = list.find(sighting => isSameSighting(sighting, record));
+
+    if (existing) {
+        existing.notes = existing.notes || record.notes;
+        return false;
+    }
+
+    list.push(record);
+    list.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+    return true;
+}
+
+/**
+ * All sightings, bird by bird, each bird's oldest first
+ *
+ * @param {Object} sightings - Lists of sightings keyed by checklistBirdKey()
+ * @returns {Array} - Sighting records
+ */
+function allSightings(sightings) {
+    return Object.values(sightings).flat();
+}
+
+/**
+ * Looks up the sightings of the bird shown on a card
+ *
+ * @param {HTMLElement} card - The bird card
+ * @returns {Array} - { common_name, scientific_name, date, place, notes } records, oldest first; empty if not seen
+ */
+function getCardSightings(card) {
+    return loadSightings()[cardBirdKey(card)] || [];
+}
+
+/**
+ * Key of the bird shown on a card, the same one checklists are de-duplicated by
+ *
+ * @param {HTMLElement} card - The bird card
+ * @returns {string}
+ */
+function cardBirdKey(card) {
+    return checklistBirdKey({
+        common_name: card.dataset.commonName,
+        scientific_name: card.dataset.scientificName
+    });
+}
+
+/**
+ * Today's date in the local time zone, as YYYY-MM-DD
+ *
+ * @returns {string}
+ */
+function todayIsoDate() {
+    const now = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Quotes a value for CSV when needed
+ *
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV text into rows of cells (handles quoted cells, "" escapes and newlines in quotes)
+ *
+ * @param {string} text - CSV text
+ * @returns {Array} - Array of rows, each an array of strings
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Exports sightings in the app's own CSV format (with a header row)
+ *
+ * @param {Object} sightings - Lists of sightings keyed by checklistBirdKey()
+ * @returns {string} - CSV text
+ */
+function sightingsToCsv(sightings) {
+    const lines = [SIGHTINGS_CSV_COLUMNS.join(',')];
+
+    for (const sighting of allSightings(sightings)) {
+        lines.push([
+            sighting.common_name,
+            sighting.scientific_name,
+            sighting.date,
+            sighting.place,
+            sighting.notes
+        ].map(csvCell).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Exports sightings in the eBird record format, ready for eBird's CSV import
+ * Columns: Common Name, Genus, Species, Number, Species Comments, Location Name,
+ * Latitude, Longitude, Date (MM/DD/YYYY), Start Time, State/Province, Country Code,
+ * Protocol, Number of Observers, Duration, All Observations Reported, Distance,
+ * Area, Checklist Comments
+ * The country comes from the checklist's "country" setting; without one the
+ * column is left empty for eBird's import to ask
+ *
+ * @param {Object} sightings - Lists of sightings keyed by checklistBirdKey()
+ * @param {string} countryCode - Two-letter country code, may be empty
+ * @returns {string} - CSV text
+ */
+function sightingsToEbirdCsv(sightings, countryCode = '') {
+    const lines = [];
+
+    for (const sighting of allSightings(sightings)) {
+        const [genus = '', species = ''] = (sighting.scientific_name || '').split(' ');
+        const [year, month, day] = (sighting.date || '').split('-');
+        const date = year ? `${month}/${day}/${year}` : '';
+
+        lines.push([
+            sighting.common_name, genus, species, 'X', sighting.notes,
+            sighting.place, '', '', date, '', '', countryCode,
+            EBIRD_PROTOCOL, '1', '', 'N', '', '', ''
+        ].map(csvCell).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Reads sightings from CSV in either the app's own format or the eBird record format
+ *
+ * @param {string} text - CSV text
+ * @returns {Array} - Sighting records
+ */
+function parseSightingsCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return [];
+    }
+
+    // The app's format has a header row, eBird's record format doesn't
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    if (header[0] === SIGHTINGS_CSV_COLUMNS[0].toLowerCase()) {
+        const column = name => header.indexOf(name.toLowerCase());
+        return rows.slice(1).map(cells => ({
+            common_name: cells[column('Common Name')] || '',
+            scientific_name: cells[column('Scientific Name')] || '',
+            date: cells[column('Date')] || '',
+            place: cells[column('Place')] || '',
+            notes: cells[column('Notes')] || ''
+        }));
+    }
+
+    return rows.map(cells => {
+        const [month, day, year] = (cells[8] || '').split('/');
+        return {
+            common_name: cells[0] || '',
+            scientific_name: [cells[1], cells[2]].filter(Boolean).join(' '),
+            date: year ? `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : '',
+            place: cells[5] || '',
+            notes: cells[4] || ''
+        };
+    });
+}
+
+/**
+ * Adds imported sightings to the ones already recorded
+ * Observations already recorded (same bird, date and place) aren't added twice
+ *
+ * @param {Array} records - Sighting records
+ * @returns {Object} - { added, skipped }: how many sightings were new and how many already recorded
+ */
+function importSightings(records) {
+    const sightings = loadSightings();
+    let added = 0;
+    let skipped = 0;
+
+    for (const record of records) {
+        if (!record.common_name && !record.scientific_name) {
+            continue;
+        }
+        if (addSighting(sightings, record)) {
+            added++;
+        } else {
+            skipped++;
+        }
+    }
+
+    saveSightings(sightings);
+    return { added, skipped };
+}
+
+/**
+ * Offers text as a file download
+ *
+ * @param {string} fileName - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+function downloadTextFile(fileName, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Updates a card's seen toggle to match the stored sightings
+ * A bird counts as seen once it has at least one sighting
+ *
+ * @param {HTMLElement} card - The bird card
+ */
+function renderSeenToggle(card) {
+    const toggle = card.querySelector('.seen-toggle');
+    const sightings = getCardSightings(card);
+    const latest = sightings[sightings.length - 1];
+
+    card.classList.toggle('seen', sightings.length > 0);
+    if (!latest) {
+        toggle.textContent = t('sightings.markAsSeen');
+        toggle.title = t('sightings.recordHint');
+    } else {
+        toggle.textContent = sightings.length > 1
+            ? t('sightings.seenTimes', { count: sightings.length, date: latest.date })
+            : t('sightings.seenOn', { date: latest.date });
+        toggle.title = [latest.place, latest.notes].filter(Boolean).join(' · ') || t('sightings.clickToEdit');
+    }
+}
+
+/**
+ * Opens the form for recording another sighting on a card, which also lists
+ * the bird's earlier sightings so they can be removed
+ *
+ * @param {HTMLElement} card - The bird card
+ */
+function openSightingForm(card) {
+    if (card.querySelector('.sighting-form')) {
+        return;
+    }
+
+    const sightings = getCardSightings(card);
+    const form = document.createElement('form');
+    form.className = 'sighting-form';
+
+    const close = () => {
+        form.remove();
+        renderSeenToggle(card);
+        updateSightingSummary();
+        applyFilters();
+    };
+
+    if (sightings.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'sighting-list';
+        sightings.forEach((sighting, index) => {
+            const item = document.createElement('li');
+            item.textContent = [sighting.date, sighting.place, sighting.notes].filter(Boolean).join(' · ');
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = t('sightings.remove');
+            remove.addEventListener('click', () => {
+                const stored = loadSightings();
+                (stored[cardBirdKey(card)] || []).splice(index, 1);
+                saveSightings(stored);
+                close();
+            });
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+        form.appendChild(list);
+    }
+
+    const field = (labelText, input) => {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        label.appendChild(input);
+        form.appendChild(label);
+        return input;
+    };
+
+    const dateInput = document.createElement('input');
+    dateInput.type = 'date';
+    dateInput.required = true;
+    dateInput.value = todayIsoDate();
+    field(t('sightings.date'), dateInput);
+
+    const placeInput = document.createElement('input');
+    placeInput.type = 'text';
+    placeInput.value = sightings.length > 0 ? sightings[sightings.length - 1].place : '';
+    field(t('sightings.place'), placeInput);
+
+    const notesInput = document.createElement('textarea');
+    notesInput.rows = 2;
+    field(t('sightings.notes'), notesInput);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'sighting-buttons';
+    form.appendChild(buttons);
+
+    const addButton = (text, type, onClick) => {
+        const button = document.createElement('button');
+        button.type = type;
+        button.textContent = text;
+        if (onClick) {
+            button.addEventListener('click', onClick);
+        }
+        buttons.appendChild(button);
+    };
+
+    addButton(t('sightings.save'), 'submit');
+    addButton(t('sightings.cancel'), 'button', () => form.remove());
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const stored = loadSightings();
+        addSighting(stored, {
+            common_name: card.dataset.commonName,
+            scientific_name: card.dataset.scientificName,
+            date: dateInput.value,
+            place: placeInput.value.trim(),
+            notes: notesInput.value.trim()
+        });
+        saveSightings(stored);
+        close();
+    });
+
+    card.appendChild(form);
+    dateInput.focus();
+}
+
+/**
+ * Adds the seen toggle to a card
+ *
+ * @param {HTMLElement} card - The bird card, with its common and scientific name set
+ */
+function addSeenToggle(card) {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'seen-toggle';
+    toggle.addEventListener('click', () => openSightingForm(card));
+    card.appendChild(toggle);
+    renderSeenToggle(card);
+}
+
+/**
+ * Whether a card passes the seen/unseen filter
+ *
+ * @param {HTMLElement} card - The bird card
+ * @returns {boolean}
+ */
+function matchesSeenFilter(card) {
+    const select = document.querySelector('.seen-filter');
+    const filter = select ? select.value : 'all';
+
+    if (filter === 'all') {
+        return true;
+    }
+    return card.classList.contains('seen') === (filter === 'seen');
+}
+
+/**
+ * Shows seen vs. total per category and overall
+ */
+function updateSightingSummary() {
+    const container = document.getElementById('birds-container');
+    let categoryCounts = null;
+    let seen = 0;
+    let total = 0;
+
+    for (const element of container.children) {
+        if (element.classList.contains('category')) {
+            categoryCounts = element.querySelector('.category-count');
+            if (categoryCounts) {
+                categoryCounts.dataset.seen = '0';
+                categoryCounts.dataset.total = '0';
+            }
+        } else if (element.classList.contains('bird-card')) {
+            const isSeen = element.classList.contains('seen');
+            total++;
+            seen += isSeen ? 1 : 0;
+            if (categoryCounts) {
+                categoryCounts.dataset.total = String(Number(categoryCounts.dataset.total) + 1);
+                categoryCounts.dataset.seen = String(Number(categoryCounts.dataset.seen) + (isSeen ? 1 : 0));
+            }
+        }
+    }
+
+    container.querySelectorAll('.category-count').forEach(count => {
+        count.textContent = t('sightings.categoryCount', { seen: count.dataset.seen, total: count.dataset.total });
+    });
+
+    const overall = document.querySelector('.sightings-total');
+    if (overall) {
+        overall.textContent = t('sightings.total', { seen, total });
+    }
+}
+
+/**
+ * Sets up the sightings bar: overall count, seen/unseen filter, export and
+ * import, and a line saying how an import went
+ */
+function setupSightingsBar() {
+    const bar = document.createElement('div');
+    bar.className = 'sightings-bar';
+
+    const total = document.createElement('span');
+    total.className = 'sightings-total';
+    bar.appendChild(total);
+
+    const filter = document.createElement('select');
+    filter.className = 'seen-filter';
+    for (const [value, messageKey] of [['all', 'sightings.filterAll'], ['seen', 'sightings.filterSeen'], ['unseen', 'sightings.filterUnseen']]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = t(messageKey);
+        filter.appendChild(option);
+    }
+    filter.value = readFilterStateFromUrl().seen;
+    filter.addEventListener('change', applyFilters);
+    bar.appendChild(filter);
+
+    const addButton = (text, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        bar.appendChild(button);
+    };
+
+    addButton(t('sightings.exportCsv'), () =>
+        downloadTextFile('sightings.csv', sightingsToCsv(loadSightings()), 'text/csv'));
+    addButton(t('sightings.exportEbird'), () => {
+        const countryCode = (currentChecklist && currentChecklist.country) || '';
+        downloadTextFile('sightings-ebird.csv', sightingsToEbirdCsv(loadSightings(), countryCode), 'text/csv');
+    });
+
+    // Says how an import went
+    const status = document.createElement('span');
+    status.className = 'sightings-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.csv,text/csv';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        const { added, skipped } = importSightings(parseSightingsCsv(await file.text()));
+        fileInput.value = '';
+        document.querySelectorAll('.bird-card').forEach(renderSeenToggle);
+        updateSightingSummary();
+        applyFilters();
+        status.textContent = t('sightings.imported', { count: added, skipped });
+    });
+    bar.appendChild(fileInput);
+    addButton(t('sightings.importCsv'), () => fileInput.click());
+    bar.appendChild(status);
+
+    document.body.insertBefore(bar, document.getElementById('birds-container'));
+}
@@ -0,0 +1,421 @@
+/**
+ * TAXONOMY
+ *
+ * Regroups the checklist by order and family, in taxonomic sequence or
+ * alphabetically, or lists it A–Z, as an alternative to the checklist's own
+ * categories. Each scientific name is
+ * resolved against Wikidata (taxon name P225, parent taxon P171, rank P105)
+ * with a single SPARQL query for the whole checklist, and the result is
+ * cached in localStorage. The checklist editor also uses Wikidata here to
+ * find a species' scientific name from its common name.
+ *
+ * The SPARQL endpoint can be changed with "wikidata_sparql_url" in config.js,
+ * e.g. to run against a local stand-in for Wikidata.
+ */
+
+const WIKIDATA_SPARQL_URL = 'https://query.wikidata.org/sparql';
+
+const TAXONOMY_STORAGE_KEY = 'birds.taxonomy';
+
+// Taxonomy rarely changes, so cached lookups are kept for a long time
+const TAXONOMY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Names resolved per SPARQL query
+const TAXONOMY_BATCH_SIZE = 50;
+
+// Wikidata items for the ranks we group and sort by
+const TAXONOMY_RANKS = {
+    Q36602: 'order',
+    Q35409: 'family',
+    Q34740: 'genus'
+};
+
+// Ways to arrange the gallery, in the order the switcher shows them, with their message keys
+const GALLERY_VIEWS = {
+    checklist: 'view.checklist',
+    taxonomic: 'view.taxonomic',
+    family: 'view.family',
+    alphabetical: 'view.alphabetical'
+};
+
+// Bird orders and families in taxonomic sequence, after the Clements checklist,
+// for the "taxonomic" view. The orders some sources split off Caprimulgiformes
+// are kept next to it. Orders and families missing here come after the listed
+// ones, alphabetically
+const TAXONOMIC_ORDER_SEQUENCE = [
+    'Struthioniformes', 'Rheiformes', 'Tinamiformes', 'Casuariiformes', 'Apterygiformes',
+    'Anseriformes', 'Galliformes', 'Phoenicopteriformes', 'Podicipediformes', 'Columbiformes',
+    'Mesitornithiformes', 'Pterocliformes', 'Otidiformes', 'Musophagiformes', 'Cuculiformes',
+    'Caprimulgiformes', 'Podargiformes', 'Steatornithiformes', 'Nyctibiiformes', 'Aegotheliformes',
+    'Apodiformes', 'Opisthocomiformes', 'Gruiformes', 'Charadriiformes', 'Eurypygiformes',
+    'Phaethontiformes', 'Gaviiformes', 'Sphenisciformes', 'Procellariiformes', 'Ciconiiformes',
+    'Suliformes', 'Pelecaniformes', 'Cathartiformes', 'Accipitriformes', 'Strigiformes',
+    'Coliiformes', 'Leptosomiformes', 'Trogoniformes', 'Bucerotiformes', 'Coraciiformes',
+    'Piciformes', 'Cariamiformes', 'Falconiformes', 'Psittaciformes', 'Passeriformes'
+];
+const TAXONOMIC_FAMILY_SEQUENCE = [
+    'Struthionidae', 'Rheidae', 'Tinamidae', 'Casuariidae', 'Apterygidae', 'Anhimidae',
+    'Anseranatidae', 'Anatidae', 'Megapodiidae', 'Cracidae', 'Numididae', 'Odontophoridae',
+    'Phasianidae', 'Phoenicopteridae', 'Podicipedidae', 'Columbidae', 'Mesitornithidae',
+    'Pteroclidae', 'Otididae', 'Musophagidae', 'Cuculidae', 'Podargidae', 'Steatornithidae',
+    'Nyctibiidae', 'Caprimulgidae', 'Aegothelidae', 'Hemiprocnidae', 'Apodidae', 'Trochilidae',
+    'Opisthocomidae', 'Sarothruridae', 'Heliornithidae', 'Rallidae', 'Psophiidae', 'Gruidae',
+    'Aramidae', 'Burhinidae', 'Chionidae', 'Pluvianellidae', 'Haematopodidae', 'Ibidorhynchidae',
+    'Recurvirostridae', 'Charadriidae', 'Pluvianidae', 'Rostratulidae', 'Jacanidae',
+    'Pedionomidae', 'Thinocoridae', 'Scolopacidae', 'Turnicidae', 'Dromadidae', 'Glareolidae',
+    'Laridae', 'Stercorariidae', 'Alcidae', 'Rhynochetidae', 'Eurypygidae', 'Phaethontidae',
+    'Gaviidae', 'Spheniscidae', 'Oceanitidae', 'Diomedeidae', 'Hydrobatidae', 'Procellariidae',
+    'Ciconiidae', 'Fregatidae', 'Sulidae', 'Anhingidae', 'Phalacrocoracidae', 'Pelecanidae',
+    'Balaenicipitidae', 'Scopidae', 'Ardeidae', 'Threskiornithidae', 'Cathartidae',
+    'Sagittariidae', 'Pandionidae', 'Accipitridae', 'Tytonidae', 'Strigidae', 'Coliidae',
+    'Leptosomidae', 'Trogonidae', 'Upupidae', 'Phoeniculidae', 'Bucorvidae', 'Bucerotidae',
+    'Meropidae', 'Coraciidae', 'Brachypteraciidae', 'Alcedinidae', 'Todidae', 'Momotidae',
+    'Galbulidae', 'Bucconidae', 'Capitonidae', 'Semnornithidae', 'Ramphastidae', 'Megalaimidae',
+    'Lybiidae', 'Indicatoridae', 'Picidae', 'Cariamidae', 'Falconidae', 'Strigopidae',
+    'Cacatuidae', 'Psittacidae', 'Psittaculidae', 'Acanthisittidae', 'Calyptomenidae',
+    'Eurylaimidae', 'Sapayoidae', 'Philepittidae', 'Pittidae', 'Thamnophilidae', 'Melanopareiidae',
+    'Conopophagidae', 'Grallariidae', 'Rhinocryptidae', 'Formicariidae', 'Furnariidae', 'Pipridae',
+    'Cotingidae', 'Tityridae', 'Oxyruncidae', 'Onychorhynchidae', 'Pipritidae', 'Platyrinchidae',
+    'Tachurisidae', 'Rhynchocyclidae', 'Tyrannidae', 'Menuridae', 'Atrichornithidae',
+    'Ptilonorhynchidae', 'Climacteridae', 'Maluridae', 'Meliphagidae', 'Dasyornithidae',
+    'Pardalotidae', 'Acanthizidae', 'Pomatostomidae', 'Orthonychidae', 'Cinclosomatidae',
+    'Campephagidae', 'Mohouidae', 'Neosittidae', 'Psophodidae', 'Vireonidae', 'Oreoicidae',
+    'Paramythiidae', 'Falcunculidae', 'Pachycephalidae', 'Oriolidae', 'Machaerirhynchidae',
+    'Artamidae', 'Rhagologidae', 'Malaconotidae', 'Platysteiridae', 'Vangidae', 'Rhipiduridae',
+    'Dicruridae', 'Paradisaeidae', 'Ifritidae', 'Monarchidae', 'Laniidae', 'Corvidae',
+    'Melanocharitidae', 'Cnemophilidae', 'Callaeidae', 'Notiomystidae', 'Petroicidae', 'Eupetidae',
+    'Chaetopidae', 'Picathartidae', 'Hyliotidae', 'Stenostiridae', 'Paridae', 'Remizidae',
+    'Panuridae', 'Alaudidae', 'Nicatoridae', 'Macrosphenidae', 'Cisticolidae', 'Acrocephalidae',
+    'Locustellidae', 'Donacobiidae', 'Bernieridae', 'Pnoepygidae', 'Hirundinidae', 'Pycnonotidae',
+    'Phylloscopidae', 'Scotocercidae', 'Aegithalidae', 'Sylviidae', 'Paradoxornithidae',
+    'Zosteropidae', 'Timaliidae', 'Pellorneidae', 'Alcippeidae', 'Leiothrichidae',
+    'Modulatricidae', 'Promeropidae', 'Irenidae', 'Tichodromidae', 'Sittidae', 'Certhiidae',
+    'Polioptilidae', 'Troglodytidae', 'Cinclidae', 'Sturnidae', 'Mimidae', 'Buphagidae',
+    'Turdidae', 'Muscicapidae', 'Regulidae', 'Dulidae', 'Bombycillidae', 'Ptiliogonatidae',
+    'Hylocitreidae', 'Hypocoliidae', 'Elachuridae', 'Chloropseidae', 'Dicaeidae', 'Nectariniidae',
+    'Urocynchramidae', 'Ploceidae', 'Estrildidae', 'Viduidae', 'Peucedramidae', 'Prunellidae',
+    'Passeridae', 'Motacillidae', 'Fringillidae', 'Calcariidae', 'Rhodinocichlidae', 'Emberizidae',
+    'Passerellidae', 'Calyptophilidae', 'Phaenicophilidae', 'Nesospingidae', 'Spindalidae',
+    'Zeledoniidae', 'Teretistridae', 'Icteriidae', 'Icteridae', 'Parulidae', 'Mitrospingidae',
+    'Cardinalidae', 'Thraupidae'
+];
+
+/**
+ * The SPARQL endpoint to query, config.js can point it elsewhere
+ *
+ * @returns {string}
+ */
+function wikidataSparqlUrl() {
+    const appConfig = typeof window !== 'undefined' && window.BIRD_GRID_CONFIG;
+    return appConfig && appConfig.wikidata_sparql_url ? appConfig.wikidata_sparql_url : WIKIDATA_SPARQL_URL;
+}
+
+/**
+ * Reads the taxonomy cache
+ *
+ * @returns {Object} - { [scientific name]: { order, family, genus, fetchedAt } }
+ */
+function loadTaxonomyCache() {
+    try {
+        return JSON.parse(localStorage.getItem(TAXONOMY_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading taxonomy cache:', error);
+        return {};
+    }
+}
+
+/**
+ * Writes the taxonomy cache
+ *
+ * @param {Object} cache - { [scientific name]: { order, family, genus, fetchedAt } }
+ */
+function saveTaxonomyCache(cache) {
+    localStorage.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(cache));
+}
+
+/**
+ * Looks up the order, family and genus of each scientific name on Wikidata
+ * Names Wikidata doesn't know come back with no ranks
+ *
+ * @param {Array} scientificNames - Scientific names to resolve
+ * @returns {Promise<Object>} - { [scientific name]: { order, family, genus } }
+ */
+async function fetchTaxonomyFromWikidata(scientificNames) {
+    const rankValues = Object.entries(TAXONOMY_RANKS)
+        .map(([item, rank]) => `(wd:${item} "${rank}")`)
+        .join(' ');
+    const nameValues = scientificNames
+        .map(name => JSON.stringify(name))
+        .join(' ');
+
+    const query = `SELECT ?name ?rank ?ancestorName WHERE {
+        VALUES ?name { ${nameValues} }
+        VALUES (?rankItem ?rank) { ${rankValues} }
+        ?taxon wdt:P225 ?name .
+        ?taxon wdt:P171* ?ancestor .
+        ?ancestor wdt:P105 ?rankItem ;
+                  wdt:P225 ?ancestorName .
+    }`;
+
+    const response = await fetchWithRetry(`${wikidataSparqlUrl()}?query=${encodeURIComponent(query)}&format=json`, {
+        headers: { Accept: 'application/sparql-results+json' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Wikidata query failed: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const taxonomy = {};
+    scientificNames.forEach(name => {
+        taxonomy[name] = {};
+    });
+
+    // A taxon can have more than one parent claim, the first one found wins
+    for (const binding of data.results.bindings) {
+        const entry = taxonomy[binding.name.value];
+        if (entry && !entry[binding.rank.value]) {
+            entry[binding.rank.value] = binding.ancestorName.value;
+        }
+    }
+
+    return taxonomy;
+}
+
+/**
+ * Resolves the taxonomy of the given names, from the cache where possible
+ * Missing or expired names are fetched from Wikidata unless offline; if the
+ * lookup fails, the names are simply left without a taxonomy
+ *
+ * @param {Array} scientificNames - Scientific names to resolve
+ * @returns {Promise<Object>} - { [scientific name]: { order, family, genus } }
+ */
+async function resolveTaxonomy(scientificNames) {
+    const cache = loadTaxonomyCache();
+    const now = Date.now();
+    const missing = scientificNames.filter(name =>
+        !cache[name] || now - cache[name].fetchedAt > TAXONOMY_TTL_MS);
+
+    if (missing.length > 0 && !isOfflineMode()) {
+        for (let start = 0; start < missing.length; start += TAXONOMY_BATCH_SIZE) {
+            try {
+                const batch = await fetchTaxonomyFromWikidata(missing.slice(start, start + TAXONOMY_BATCH_SIZE));
+                for (const [name, ranks] of Object.entries(batch)) {
+                    cache[name] = { ...ranks, fetchedAt: now };
+                }
+            } catch (error) {
+                console.error('Error resolving taxonomy:', error);
+            }
+        }
+        saveTaxonomyCache(cache);
+    }
+
+    const taxonomy = {};
+    for (const name of scientificNames) {
+        taxonomy[name] = cache[name] || {};
+    }
+    return taxonomy;
+}
+
+/**
+ * Finds the scientific name of a species from its English common name
+ * Wikidata labels are usually lower case ("brown pelican"), so the name is
+ * tried as typed and in lower case; only species-rank taxa count
+ *
+ * @param {string} commonName - English common name
+ * @returns {Promise<string|null>} - Scientific name, or null if none was found
+ */
+async function lookupScientificName(commonName) {
+    const labels = [...new Set([commonName.trim(), commonName.trim().toLowerCase()])]
+        .map(label => `${JSON.stringify(label)}@en`)
+        .join(' ');
+
+    const query = `SELECT ?name WHERE {
+        VALUES ?label { ${labels} }
+        { ?taxon rdfs:label ?label } UNION { ?taxon skos:altLabel ?label }
+        ?taxon wdt:P105 wd:Q7432 ;
+               wdt:P225 ?name .
+    } LIMIT 1`;
+
+    const response = await fetchWithRetry(`${wikidataSparqlUrl()}?query=${encodeURIComponent(query)}&format=json`, {
+        headers: { Accept: 'application/sparql-results+json' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Wikidata query failed: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const binding = data.results.bindings[0];
+    return binding ? binding.name.value : null;
+}
+
+/**
+ * All birds of a checklist in one list, each bird once
+ *
+ * @param {Object} checklist - Validated checklist
+ * @returns {Array} - Bird entries
+ */
+function allChecklistBirds(checklist) {
+    const seen = new Set();
+    const birds = [];
+
+    for (const category of checklist.categories) {
+        for (const bird of category.birds) {
+            const key = checklistBirdKey(bird);
+            if (!seen.has(key)) {
+                seen.add(key);
+                birds.push(bird);
+            }
+        }
+    }
+
+    return birds;
+}
+
+/**
+ * Compares two strings for sorting, ignoring case and accents
+ *
+ * @param {string} a - Name, may be missing
+ * @param {string} b - Name, may be missing
+ * @returns {number}
+ */
+function compareNames(a, b) {
+    return (a || '').localeCompare(b || '', undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Compares two taxon names by their place in a sequence table
+ * Names missing from the table come last, alphabetically
+ *
+ * @param {Array} sequence - e.g. TAXONOMIC_ORDER_SEQUENCE
+ * @param {string} a - Order or family name
+ * @param {string} b - Order or family name
+ * @returns {number}
+ */
+function compareInSequence(sequence, a, b) {
+    const rank = name => {
+        const index = sequence.indexOf(name);
+        return index === -1 ? sequence.length : index;
+    };
+    return rank(a) - rank(b) || compareNames(a, b);
+}
+
+/**
+ * Groups birds under "Order › Family" headings
+ * Families are sorted by order, then family, either in taxonomic sequence or
+ * alphabetically; birds by genus, then scientific name (there is no sequence
+ * below family). Birds whose family is unknown are listed last.
+ *
+ * @param {Array} birds - Bird entries
+ * @param {Object} taxonomy - From resolveTaxonomy()
+ * @param {boolean} taxonomic - Sort orders and families in taxonomic sequence
+ * @returns {Array} - [{ name, birds }]
+ */
+function groupBirdsByFamily(birds, taxonomy, taxonomic = false) {
+    const ranksOf = bird => taxonomy[bird.scientific_name] || {};
+    const unknown = { name: t('view.familyUnknown'), birds: [] };
+    const families = new Map();
+
+    for (const bird of birds) {
+        const ranks = ranksOf(bird);
+        if (!ranks.family) {
+            unknown.birds.push(bird);
+            continue;
+        }
+
+        const name = ranks.order ? `${ranks.order} › ${ranks.family}` : ranks.family;
+        if (!families.has(name)) {
+            families.set(name, { name, order: ranks.order, family: ranks.family, birds: [] });
+        }
+        families.get(name).birds.push(bird);
+    }
+
+    const groups = Array.from(families.values());
+    groups.sort(taxonomic
+        ? (a, b) => compareInSequence(TAXONOMIC_ORDER_SEQUENCE, a.order, b.order) ||
+            compareInSequence(TAXONOMIC_FAMILY_SEQUENCE, a.family, b.family)
+        : (a, b) => compareNames(a.order, b.order) || compareNames(a.family, b.family));
+
+    for (const group of groups) {
+        group.birds.sort((a, b) =>
+            compareNames(ranksOf(a).genus, ranksOf(b).genus) ||
+            compareNames(a.scientific_name, b.scientific_name));
+    }
+
+    if (unknown.birds.length > 0) {
+        unknown.birds.sort((a, b) => compareNames(a.common_name, b.common_name));
+        groups.push(unknown);
+    }
+
+    return groups.map(({ name, birds: groupBirds }) => ({ name, birds: groupBirds }));
+}
+
+/**
+ * Sorts birds by common name under one heading per initial letter
+ *
+ * @param {Array} birds - Bird entries
+ * @returns {Array} - [{ name, birds }]
+ */
+function groupBirdsAlphabetically(birds) {
+    const groups = [];
+    const sorted = [...birds].sort((a, b) => compareNames(a.common_name, b.common_name));
+
+    for (const bird of sorted) {
+        const letter = bird.common_name.normalize('NFD').charAt(0).toUpperCase();
+        if (groups.length === 0 || groups[groups.length - 1].name !== letter) {
+            groups.push({ name: letter, birds: [] });
+        }
+        groups[groups.length - 1].birds.push(bird);
+    }
+
+    return groups;
+}
+
+/**
+ * Arranges a checklist's birds for one of the GALLERY_VIEWS
+ *
+ * @param {Object} checklist - Validated checklist
+ * @param {string} view - 'checklist', 'taxonomic', 'family' or 'alphabetical'
+ * @returns {Promise<Array>} - [{ name, birds }] in display order
+ */
+async function groupChecklistForView(checklist, view) {
+    if (view === 'taxonomic' || view === 'family') {
+        const birds = allChecklistBirds(checklist);
+        const names = birds.map(bird => bird.scientific_name).filter(Boolean);
+        return groupBirdsByFamily(birds, await resolveTaxonomy(names), view === 'taxonomic');
+    }
+
+    if (view === 'alphabetical') {
+        return groupBirdsAlphabetically(allChecklistBirds(checklist));
+    }
+
+    return checklist.categories;
+}
+
+/**
+ * Reads the chosen view from the URL (?view=family)
+ *
+ * @returns {string} - One of the GALLERY_VIEWS keys
+ */
+function readViewFromUrl() {
+    const view = new URLSearchParams(window.location.search).get('view');
+    return GALLERY_VIEWS[view] ? view : 'checklist';
+}
+
+/**
+ * Puts the chosen view in the URL, leaving other parameters alone
+ *
+ * @param {string} view - One of the GALLERY_VIEWS keys
+ */
+function writeViewToUrl(view) {
+    const params = new URLSearchParams(window.location.search);
+    if (view === 'checklist') {
+        params.delete('view');
+    } else {
+        params.set('view', view);
+    }
+
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}